@@ -9,6 +9,11 @@ const sqlite3 = require('sqlite3').verbose(); // Reverted to sqlite3
 const { promisify } = require('util'); // Standard Node.js utility
 const https = require('https'); // For creating a secure server
 const fs = require('fs'); // For reading certificate files
+const crypto = require('crypto'); // For session tokens
+const bwipjs = require('bwip-js'); // Barcodes and QR codes, rendered locally
+const ExcelJS = require('exceljs'); // XLSX exports, streamed row by row
+const nodemailer = require('nodemailer'); // SMTP transport for notification emails
+const { AsyncLocalStorage } = require('async_hooks'); // Tracks which code runs inside a transaction
 
 // This code is updated for Node.js v24+, using modern async/await patterns.
 
@@ -26,7 +31,7 @@ const db = new sqlite3.Database(dbPath, (err) => {
 // --- Promisify Database Methods for Async/Await ---
 const dbGet = promisify(db.get.bind(db));
 const dbAll = promisify(db.all.bind(db));
-const dbRun = (sql, params = []) => {
+const runStatement = (sql, params = []) => {
     return new Promise((resolve, reject) => {
         db.run(sql, params, function (err) {
             if (err) {
@@ -39,12 +44,66 @@ const dbRun = (sql, params = []) => {
     });
 };
 
+// Every query shares the one connection, so anything written while a transaction is open becomes part of it.
+// Transactions therefore take turns through withTransaction, and writes from outside a transaction wait for the open one to finish.
+const transactionScope = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+const runExclusive = (work) => {
+    const result = transactionQueue.then(work);
+    transactionQueue = result.catch(() => {});
+    return result;
+};
+
+const dbRun = (sql, params = []) => (transactionScope.getStore() ? runStatement(sql, params) : runExclusive(() => runStatement(sql, params)));
+
+// Runs work() between BEGIN and COMMIT and resolves with its result. If work() throws, rolls back and rethrows.
+// A call made inside another transaction's work() simply joins that transaction.
+const withTransaction = (work) => {
+    if (transactionScope.getStore()) return work();
+    return runExclusive(() => transactionScope.run(true, async () => {
+        await runStatement('BEGIN TRANSACTION');
+        try {
+            const result = await work();
+            await runStatement('COMMIT');
+            return result;
+        } catch (error) {
+            await runStatement('ROLLBACK').catch(rollbackError => console.error('Rollback failed:', rollbackError.message));
+            throw error;
+        }
+    }));
+};
+
+// Adds a column to an existing table (older databases were created before the column existed).
+// Returns true when the column was added.
+const addColumnIfMissing = async (table, column, definition) => {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    if (columns.some(col => col.name === column)) return false;
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+};
+
 // --- Initialize Database Schema ---
 const initializeDatabase = async () => {
     try {
         console.log('Initializing database schema...');
         await dbRun('PRAGMA foreign_keys = ON;');
-        await dbRun(`CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE, password TEXT)`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE, password TEXT, role TEXT NOT NULL DEFAULT 'dispatcher', disabled INTEGER NOT NULL DEFAULT 0, mustChangePassword INTEGER NOT NULL DEFAULT 0, failedLoginAttempts INTEGER NOT NULL DEFAULT 0, lockedUntil TEXT, createdAt TEXT)`);
+        if (await addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'dispatcher'")) {
+            // Existing accounts keep the access they had; the seeded Admin becomes a real admin.
+            await dbRun("UPDATE users SET role = 'admin' WHERE username = 'Admin'");
+        }
+        await addColumnIfMissing('users', 'disabled', 'INTEGER NOT NULL DEFAULT 0');
+        await addColumnIfMissing('users', 'failedLoginAttempts', 'INTEGER NOT NULL DEFAULT 0');
+        await addColumnIfMissing('users', 'lockedUntil', 'TEXT');
+        await addColumnIfMissing('users', 'createdAt', 'TEXT');
+        if (await addColumnIfMissing('users', 'mustChangePassword', 'INTEGER NOT NULL DEFAULT 0')) {
+            // Force a change on any account still using the seeded default password.
+            const defaultAdmin = await dbGet("SELECT id, password FROM users WHERE username = 'Admin'");
+            if (defaultAdmin && await bcrypt.compare('Admin', defaultAdmin.password)) {
+                await dbRun('UPDATE users SET mustChangePassword = 1 WHERE id = ?', [defaultAdmin.id]);
+            }
+        }
+        await dbRun(`CREATE TABLE IF NOT EXISTS sessions (token TEXT PRIMARY KEY, user_id INTEGER NOT NULL, createdAt TEXT, expiresAt TEXT, FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`);
         
         // Removed ceNumber from chaseJobs, as it's now in a separate table
         await dbRun(`CREATE TABLE IF NOT EXISTS chaseJobs (id INTEGER PRIMARY KEY AUTOINCREMENT, jobNo TEXT, customerName TEXT, productName TEXT, accountExecutive TEXT, description TEXT, status TEXT, chaseJobId INTEGER UNIQUE, createdAt TEXT)`);
@@ -52,6 +111,47 @@ const initializeDatabase = async () => {
         // New table to handle the one-to-many relationship between jobs and CE numbers
         await dbRun(`CREATE TABLE IF NOT EXISTS job_ce_numbers (id INTEGER PRIMARY KEY AUTOINCREMENT, job_id INTEGER NOT NULL, ce_number TEXT NOT NULL, UNIQUE(job_id, ce_number), FOREIGN KEY (job_id) REFERENCES chaseJobs (id) ON DELETE CASCADE)`);
 
+        // Chase sync: jobs Chase no longer returns keep their row with removedAt set; the single config row holds the encrypted credentials
+        await addColumnIfMissing('chaseJobs', 'updatedAt', 'TEXT');
+        await addColumnIfMissing('chaseJobs', 'removedAt', 'TEXT');
+        // Jobs can also be created here ('manual'); one is merged into its Chase job once Chase returns the same job number
+        await addColumnIfMissing('chaseJobs', 'source', "TEXT NOT NULL DEFAULT 'chase'");
+        await addColumnIfMissing('job_ce_numbers', 'source', "TEXT NOT NULL DEFAULT 'chase'");
+        await dbRun(`CREATE TABLE IF NOT EXISTS job_status_events (id INTEGER PRIMARY KEY AUTOINCREMENT, job_id INTEGER NOT NULL, fromStatus TEXT, status TEXT NOT NULL, note TEXT, username TEXT, createdAt TEXT NOT NULL, FOREIGN KEY (job_id) REFERENCES chaseJobs (id) ON DELETE CASCADE)`);
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_job_status_events_job ON job_status_events (job_id)');
+
+        // Email notifications: the outbox doubles as each shipment's notification log
+        await dbRun(`
+            CREATE TABLE IF NOT EXISTS notification_outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                shipment_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                recipientType TEXT NOT NULL,
+                toAddress TEXT,
+                subject TEXT NOT NULL,
+                body TEXT NOT NULL,
+                attachment TEXT,
+                baseUrl TEXT,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                lastError TEXT,
+                transport TEXT,
+                nextAttemptAt TEXT,
+                createdAt TEXT NOT NULL,
+                sentAt TEXT,
+                FOREIGN KEY (shipment_id) REFERENCES shipments (id) ON DELETE CASCADE
+            )`);
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox (status, nextAttemptAt)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_notification_outbox_shipment ON notification_outbox (shipment_id)');
+        await dbRun(`CREATE TABLE IF NOT EXISTS notification_templates (event TEXT PRIMARY KEY, subject TEXT NOT NULL, body TEXT NOT NULL)`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS account_executives (name TEXT PRIMARY KEY COLLATE NOCASE, email TEXT NOT NULL)`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS chase_sync_config (id INTEGER PRIMARY KEY CHECK (id = 1), username TEXT, passwordEncrypted TEXT, intervalMinutes INTEGER NOT NULL DEFAULT ${DEFAULT_CHASE_SYNC_INTERVAL_MINUTES}, enabled INTEGER NOT NULL DEFAULT 0, updatedAt TEXT, updatedBy TEXT)`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS chase_sync_runs (id INTEGER PRIMARY KEY AUTOINCREMENT, trigger TEXT NOT NULL, startedBy TEXT, startedAt TEXT NOT NULL, finishedAt TEXT, status TEXT NOT NULL, jobsAdded INTEGER NOT NULL DEFAULT 0, jobsUpdated INTEGER NOT NULL DEFAULT 0, jobsRemoved INTEGER NOT NULL DEFAULT 0, ceNumbersAdded INTEGER NOT NULL DEFAULT 0, error TEXT)`);
+        for (const column of ['jobsMerged', 'recordsSkipped', 'recordsInvalid', 'documentsWithoutJob', 'recordsFailed']) await addColumnIfMissing('chase_sync_runs', column, 'INTEGER NOT NULL DEFAULT 0');
+        await addColumnIfMissing('chase_sync_runs', 'report', 'TEXT');
+        // A run left 'running' by a restart can never finish
+        await dbRun("UPDATE chase_sync_runs SET status = 'failed', error = 'Interrupted by a server restart.' WHERE status = 'running'");
+
         await dbRun(`
             CREATE TABLE IF NOT EXISTS shipments (
                 id INTEGER PRIMARY KEY AUTOINCREMENT, 
@@ -62,6 +162,16 @@ const initializeDatabase = async () => {
                 courier_charge REAL
             )`);
         await dbRun(`CREATE TABLE IF NOT EXISTS shipment_elements (id INTEGER PRIMARY KEY AUTOINCREMENT, shipment_id INTEGER, description TEXT, quantity TEXT, FOREIGN KEY (shipment_id) REFERENCES shipments (id) ON DELETE CASCADE)`);
+        // One row per status transition, so we can tell when and by whom a shipment moved on
+        await dbRun(`CREATE TABLE IF NOT EXISTS shipment_status_events (id INTEGER PRIMARY KEY AUTOINCREMENT, shipment_id INTEGER NOT NULL, status TEXT NOT NULL, note TEXT, location TEXT, username TEXT, createdAt TEXT, FOREIGN KEY (shipment_id) REFERENCES shipments (id) ON DELETE CASCADE)`);
+        await dbRun(`CREATE INDEX IF NOT EXISTS idx_status_events_shipment ON shipment_status_events (shipment_id, createdAt)`);
+        // Proof of delivery; signature and photo are stored as data URLs, like the waybill logo setting
+        await dbRun(`CREATE TABLE IF NOT EXISTS proof_of_delivery (id INTEGER PRIMARY KEY AUTOINCREMENT, shipment_id INTEGER NOT NULL UNIQUE, receiverName TEXT NOT NULL, signature TEXT NOT NULL, photo TEXT, deliveredAt TEXT, capturedBy TEXT, createdAt TEXT, FOREIGN KEY (shipment_id) REFERENCES shipments (id) ON DELETE CASCADE)`);
+        // Shipments created before history was kept get a single event for their current status
+        await dbRun(`
+            INSERT INTO shipment_status_events (shipment_id, status, note, createdAt)
+            SELECT s.id, COALESCE(s.status, 'Pending'), 'Recorded before status history was kept', s.createdAt FROM shipments s
+            WHERE NOT EXISTS (SELECT 1 FROM shipment_status_events e WHERE e.shipment_id = s.id)`);
         await dbRun(`CREATE TABLE IF NOT EXISTS addresses (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, contactPerson TEXT, phone TEXT, address TEXT)`);
         await dbRun(`CREATE TABLE IF NOT EXISTS elements (id INTEGER PRIMARY KEY AUTOINCREMENT, brand TEXT, product TEXT, color TEXT, description TEXT)`);
         await dbRun(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)`);
@@ -94,6 +204,90 @@ const initializeDatabase = async () => {
                 FOREIGN KEY (delivery_note_id) REFERENCES delivery_notes(id) ON DELETE CASCADE
             )`);
         await dbRun("INSERT OR IGNORE INTO counters (name, currentNumber) VALUES ('deliveryNoteCounter', 1000)");
+        // Each note keeps the VAT rate it was issued with; notes issued before the rate became a setting were at 15%
+        if (await addColumnIfMissing('delivery_notes', 'vatRate', 'REAL')) {
+            await dbRun('UPDATE delivery_notes SET vatRate = 15');
+        }
+        await addColumnIfMissing('delivery_note_items', 'vatExempt', 'INTEGER NOT NULL DEFAULT 0');
+        // A note made from a shipment points back at it; at most one note per shipment
+        await addColumnIfMissing('delivery_notes', 'shipment_id', 'INTEGER REFERENCES shipments (id) ON DELETE SET NULL');
+        await dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_notes_shipment ON delivery_notes (shipment_id) WHERE shipment_id IS NOT NULL');
+        // Edits bump the version; each replaced version is kept as a JSON snapshot of the header and items
+        await addColumnIfMissing('delivery_notes', 'version', 'INTEGER NOT NULL DEFAULT 1');
+        await addColumnIfMissing('delivery_notes', 'createdBy', 'TEXT');
+        await addColumnIfMissing('delivery_notes', 'updatedAt', 'TEXT');
+        await addColumnIfMissing('delivery_notes', 'updatedBy', 'TEXT');
+        await dbRun(`
+            CREATE TABLE IF NOT EXISTS delivery_note_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                delivery_note_id INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                snapshot TEXT NOT NULL,
+                savedAt TEXT,
+                savedBy TEXT,
+                replacedAt TEXT,
+                replacedBy TEXT,
+                UNIQUE (delivery_note_id, version),
+                FOREIGN KEY (delivery_note_id) REFERENCES delivery_notes(id) ON DELETE CASCADE
+            )`);
+
+        // Drivers, vehicles and the shipments each driver carries on a given day (YYYY-MM-DD)
+        await dbRun(`CREATE TABLE IF NOT EXISTS drivers (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, phone TEXT, licenseNumber TEXT, active INTEGER NOT NULL DEFAULT 1, createdAt TEXT)`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS vehicles (id INTEGER PRIMARY KEY AUTOINCREMENT, registration TEXT NOT NULL UNIQUE, description TEXT, active INTEGER NOT NULL DEFAULT 1, createdAt TEXT)`);
+        await dbRun(`
+            CREATE TABLE IF NOT EXISTS shipment_assignments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                shipment_id INTEGER NOT NULL,
+                driver_id INTEGER NOT NULL,
+                vehicle_id INTEGER,
+                date TEXT NOT NULL,
+                stopOrder INTEGER NOT NULL,
+                assignedBy TEXT,
+                createdAt TEXT,
+                UNIQUE (shipment_id, date),
+                FOREIGN KEY (shipment_id) REFERENCES shipments (id) ON DELETE CASCADE,
+                FOREIGN KEY (driver_id) REFERENCES drivers (id),
+                FOREIGN KEY (vehicle_id) REFERENCES vehicles (id)
+            )`);
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_assignments_driver_date ON shipment_assignments (driver_id, date)');
+
+        // Quoting: zones match addresses by postal code or suburb, and weight tiers price each zone pair per service level
+        await addColumnIfMissing('shipment_elements', 'weightKg', 'REAL');
+        await addColumnIfMissing('shipment_elements', 'lengthCm', 'REAL');
+        await addColumnIfMissing('shipment_elements', 'widthCm', 'REAL');
+        await addColumnIfMissing('shipment_elements', 'heightCm', 'REAL');
+        await addColumnIfMissing('shipments', 'serviceLevel', 'TEXT');
+        await addColumnIfMissing('shipments', 'quoteBreakdown', 'TEXT');
+        await dbRun(`CREATE TABLE IF NOT EXISTS rate_zones (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, postalCodes TEXT, suburbs TEXT)`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS service_levels (code TEXT PRIMARY KEY, name TEXT NOT NULL, sortOrder INTEGER NOT NULL DEFAULT 0)`);
+        await dbRun(`
+            CREATE TABLE IF NOT EXISTS rate_tiers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                origin_zone_id INTEGER NOT NULL,
+                destination_zone_id INTEGER NOT NULL,
+                serviceLevel TEXT NOT NULL,
+                maxWeightKg REAL NOT NULL,
+                charge REAL NOT NULL,
+                excessPerKg REAL,
+                UNIQUE (origin_zone_id, destination_zone_id, serviceLevel, maxWeightKg),
+                FOREIGN KEY (origin_zone_id) REFERENCES rate_zones (id) ON DELETE CASCADE,
+                FOREIGN KEY (destination_zone_id) REFERENCES rate_zones (id) ON DELETE CASCADE,
+                FOREIGN KEY (serviceLevel) REFERENCES service_levels (code) ON DELETE CASCADE
+            )`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS surcharges (code TEXT PRIMARY KEY, name TEXT NOT NULL, type TEXT NOT NULL DEFAULT 'fixed', amount REAL NOT NULL, automatic INTEGER NOT NULL DEFAULT 0)`);
+        // Only seeded into an empty table, so levels removed from the rate card stay removed
+        await dbRun(`INSERT INTO service_levels (code, name, sortOrder) SELECT * FROM (SELECT 'overnight', 'Overnight', 1 UNION ALL SELECT 'same-day', 'Same day', 2) WHERE NOT EXISTS (SELECT 1 FROM service_levels)`);
+
+        // Indexes for the filtered/sorted list routes
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_shipments_createdAt ON shipments (createdAt)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments (status)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_shipments_jobNo ON shipments (associatedJobNo)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_delivery_notes_createdAt ON delivery_notes (createdAt)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_chaseJobs_createdAt ON chaseJobs (createdAt)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_chaseJobs_jobNo ON chaseJobs (jobNo)');
+        await dbRun('CREATE INDEX IF NOT EXISTS idx_job_ce_numbers_ce ON job_ce_numbers (ce_number)');
+
+        await initializeSearchIndexes();
 
         console.log('Database tables are ready.');
     } catch (error) {
@@ -102,6 +296,76 @@ const initializeDatabase = async () => {
     }
 };
 
+// --- Full-Text Search Indexes ---
+// Each FTS5 table mirrors one source table, using the source row id as its rowid.
+// Triggers keep them in sync, so every insert/update/delete path is covered.
+const SEARCH_INDEXES = {
+    shipments: {
+        table: 'shipments',
+        columns: ['trackingNumber', 'recipientName', 'recipientContact', 'recipientAddress', 'senderName', 'senderAddress', 'jobNo', 'ceNumber'],
+        select: 'SELECT s.id, s.trackingNumber, s.recipientName, s.recipientContact, s.recipientAddress, s.senderName, s.senderAddress, s.associatedJobNo, s.ceNumber FROM shipments s',
+        idColumn: 's.id',
+    },
+    chaseJobs: {
+        table: 'chaseJobs',
+        columns: ['jobNo', 'customerName', 'productName', 'accountExecutive', 'description', 'ceNumbers'],
+        select: "SELECT j.id, j.jobNo, j.customerName, j.productName, j.accountExecutive, j.description, (SELECT GROUP_CONCAT(ce.ce_number, ' ') FROM job_ce_numbers ce WHERE ce.job_id = j.id) FROM chaseJobs j",
+        idColumn: 'j.id',
+        // CE numbers live in their own table, so changes there refresh the owning job's entry
+        related: [{ table: 'job_ce_numbers', foreignKey: 'job_id' }],
+    },
+    deliveryNotes: {
+        table: 'delivery_notes',
+        columns: ['deliveryNoteNumber', 'clientName', 'address', 'contactPerson', 'jobNo', 'ceNumber'],
+        select: 'SELECT n.id, n.deliveryNoteNumber, n.clientName, n.address, n.contactPerson, n.jobNo, n.ceNumber FROM delivery_notes n',
+        idColumn: 'n.id',
+    },
+    addresses: {
+        table: 'addresses',
+        columns: ['name', 'contactPerson', 'phone', 'address'],
+        select: 'SELECT a.id, a.name, a.contactPerson, a.phone, a.address FROM addresses a',
+        idColumn: 'a.id',
+    },
+};
+
+const initializeSearchIndexes = async () => {
+    for (const [name, index] of Object.entries(SEARCH_INDEXES)) {
+        const ftsTable = `fts_${name}`;
+        const insertRow = (idExpr) => `INSERT INTO ${ftsTable} (rowid, ${index.columns.join(', ')}) ${index.select} WHERE ${index.idColumn} = ${idExpr};`;
+        const deleteRow = (idExpr) => `DELETE FROM ${ftsTable} WHERE rowid = ${idExpr};`;
+
+        await dbRun(`CREATE VIRTUAL TABLE IF NOT EXISTS ${ftsTable} USING fts5(${index.columns.join(', ')}, tokenize = 'unicode61')`);
+
+        // Triggers are recreated on every start so that changes to the definitions above take effect.
+        const triggers = [
+            [`${ftsTable}_ai`, `AFTER INSERT ON ${index.table}`, insertRow('NEW.id')],
+            [`${ftsTable}_au`, `AFTER UPDATE ON ${index.table}`, deleteRow('OLD.id') + insertRow('NEW.id')],
+            [`${ftsTable}_ad`, `AFTER DELETE ON ${index.table}`, deleteRow('OLD.id')],
+        ];
+        for (const related of index.related || []) {
+            const prefix = `${ftsTable}_${related.table}`;
+            triggers.push(
+                [`${prefix}_ai`, `AFTER INSERT ON ${related.table}`, deleteRow(`NEW.${related.foreignKey}`) + insertRow(`NEW.${related.foreignKey}`)],
+                [`${prefix}_au`, `AFTER UPDATE ON ${related.table}`, deleteRow(`OLD.${related.foreignKey}`) + insertRow(`OLD.${related.foreignKey}`) + deleteRow(`NEW.${related.foreignKey}`) + insertRow(`NEW.${related.foreignKey}`)],
+                [`${prefix}_ad`, `AFTER DELETE ON ${related.table}`, deleteRow(`OLD.${related.foreignKey}`) + insertRow(`OLD.${related.foreignKey}`)],
+            );
+        }
+        for (const [triggerName, when, body] of triggers) {
+            await dbRun(`DROP TRIGGER IF EXISTS ${triggerName}`);
+            await dbRun(`CREATE TRIGGER ${triggerName} ${when} BEGIN ${body} END`);
+        }
+
+        // Rebuild when the index is new or has drifted from its source table.
+        const { indexed } = await dbGet(`SELECT COUNT(*) as indexed FROM ${ftsTable}`);
+        const { total } = await dbGet(`SELECT COUNT(*) as total FROM ${index.table}`);
+        if (indexed !== total) {
+            console.log(`Rebuilding search index ${ftsTable}...`);
+            await dbRun(`DELETE FROM ${ftsTable}`);
+            await dbRun(`INSERT INTO ${ftsTable} (rowid, ${index.columns.join(', ')}) ${index.select}`);
+        }
+    }
+};
+
 const app = express();
 const PORT = 3001;
 const HOST = '0.0.0.0';
@@ -110,294 +374,1854 @@ const HOST = '0.0.0.0';
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// --- Chase API Import ---
-const importAllChaseData = async (username, password) => {
-    console.log(`Starting Chase API import for user: ${username}...`);
-    const JOB_API_URL = 'https://promosoft.chasesoftware.co.za/api/Job';
-    const DOC_API_URL = 'https://promosoft.chasesoftware.co.za/api/Document/FormID/4';
-    const axiosConfig = { auth: { username, password }, headers: { 'User-Agent': 'Mozilla/5.0' } };
-    try {
-        const jobResponse = await axios.get(JOB_API_URL, axiosConfig);
-        const jobs = jobResponse.data;
-        if (!jobs || !Array.isArray(jobs)) throw new Error("API response from /api/Job was not an array.");
-        
-        let newJobsCount = 0;
-        await dbRun('BEGIN TRANSACTION');
-        for (const job of jobs) {
-             if (!job.JobID) continue;
-             const existingJob = await dbGet('SELECT id FROM chaseJobs WHERE chaseJobId = ?', [job.JobID]);
-             if (!existingJob) {
-                 const newJobData = [job.JobNo || null, job.CustomerName || 'N/A', job.ProductName || 'N/A', job.AE || 'N/A', job.Description || 'N/A', 'Imported', job.JobID, new Date().toISOString()];
-                 await dbRun(`INSERT INTO chaseJobs (jobNo, customerName, productName, accountExecutive, description, status, chaseJobId, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, newJobData);
-                 newJobsCount++;
-             }
-        }
-        await dbRun('COMMIT');
-
-
-        const docResponse = await axios.get(DOC_API_URL, axiosConfig);
-        const docs = docResponse.data;
-        if (!docs || !Array.isArray(docs)) throw new Error("API response from /api/Document was not an array.");
-        
-        let newCeNumbersCount = 0;
-        await dbRun('BEGIN TRANSACTION');
-        for (const doc of docs) {
-            if (doc.JobID && doc.DocNo) {
-                const job = await dbGet('SELECT id FROM chaseJobs WHERE chaseJobId = ?', [doc.JobID]);
-                if (job) {
-                    const result = await dbRun('INSERT OR IGNORE INTO job_ce_numbers (job_id, ce_number) VALUES (?, ?)', [job.id, doc.DocNo]);
-                    if (result.changes > 0) newCeNumbersCount++;
-                }
-            }
-        }
-        await dbRun('COMMIT');
-        
-        return { success: true, message: `Import complete. Added ${newJobsCount} new jobs and linked ${newCeNumbersCount} new CE numbers.` };
-    } catch (error) {
-        await dbRun('ROLLBACK');
-        let errorMessage = 'An unknown error occurred during import.';
-        if (axios.isAxiosError(error)) {
-            errorMessage = error.response ? `Chase API error: ${error.response.status}` : (error.request ? 'No response from Chase API' : `Request setup error: ${error.message}`);
-        } else errorMessage = error.message;
-        console.error('Full import error:', error);
-        return { success: false, message: errorMessage };
+// --- Chase API Sync ---
+// Jobs are matched on chaseJobId: new ones are added, changed ones updated, and ones Chase no longer returns are marked removed (never deleted, shipments may still refer to them).
+const CHASE_API_URL = (process.env.CHASE_API_URL || 'https://promosoft.chasesoftware.co.za/api').replace(/\/+$/, '');
+const CHASE_REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+const DEFAULT_CHASE_SYNC_INTERVAL_MINUTES = 60;
+const MIN_CHASE_SYNC_INTERVAL_MINUTES = 1;
+const MAX_CHASE_SYNC_INTERVAL_MINUTES = 7 * 24 * 60;
+const CHASE_SYNC_RUNS_KEPT = 20;
+const CHASE_RETRY_ATTEMPTS = 4;
+const CHASE_RETRY_BASE_DELAY_MS = 2000; // doubled on every retry
+const CHASE_SYNC_CHUNK_SIZE = 200;
+const CHASE_REPORT_MAX_ENTRIES = 1000;
+const CHASE_JOB_FIELDS = ['jobNo', 'customerName', 'productName', 'accountExecutive', 'description'];
+
+// The stored Chase password is encrypted with CHASE_CREDENTIALS_KEY (32 bytes as hex or base64), or with a key file created on first use.
+// The key file lives at CHASE_CREDENTIALS_KEY_FILE, or next to server.js; never put it under public/, which is served to anyone.
+const CHASE_KEY_PATH = path.resolve(process.env.CHASE_CREDENTIALS_KEY_FILE || path.join(__dirname, 'chase-credentials.key'));
+let chaseCredentialsKey = null;
+const getChaseCredentialsKey = () => {
+    if (chaseCredentialsKey) return chaseCredentialsKey;
+    const configured = process.env.CHASE_CREDENTIALS_KEY;
+    if (configured) {
+        chaseCredentialsKey = Buffer.from(configured, /^[0-9a-f]{64}$/i.test(configured) ? 'hex' : 'base64');
+        if (chaseCredentialsKey.length !== 32) throw new Error('CHASE_CREDENTIALS_KEY must be 32 bytes, as hex or base64.');
+    } else {
+        if (!fs.existsSync(CHASE_KEY_PATH)) fs.writeFileSync(CHASE_KEY_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+        chaseCredentialsKey = Buffer.from(fs.readFileSync(CHASE_KEY_PATH, 'utf8').trim(), 'hex');
     }
+    return chaseCredentialsKey;
 };
 
+const encryptSecret = (plainText) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getChaseCredentialsKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
 
-// --- API Router ---
-const apiRouter = express.Router();
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getChaseCredentialsKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
 
-// --- Auth Routes ---
-apiRouter.post('/register', async (req, res) => {
-    const { username, password } = req.body;
-    if (!username || !password) return res.status(400).json({ message: 'Username and password are required.' });
-    try {
-        const row = await dbGet('SELECT * FROM users WHERE username = ?', [username]);
-        if (row) return res.status(400).json({ message: 'Username already exists.' });
-        const hashedPassword = await bcrypt.hash(password, 10);
-        await dbRun('INSERT INTO users (username, password) VALUES (?, ?)', [username, hashedPassword]);
-        res.status(201).json({ message: 'User registered successfully!' });
-    } catch (error) {
-        res.status(500).json({ message: 'Error registering user.' });
-    }
-});
+const getChaseSyncConfig = async () => (await dbGet('SELECT * FROM chase_sync_config WHERE id = 1')) || { username: null, passwordEncrypted: null, intervalMinutes: DEFAULT_CHASE_SYNC_INTERVAL_MINUTES, enabled: 0 };
 
-apiRouter.post('/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        if (!username || !password) return res.status(400).json({ message: 'Username and password are required.' });
-        const user = await dbGet('SELECT * FROM users WHERE username = ?', [username]);
-        if (!user) return res.status(401).json({ message: 'Invalid credentials.' });
-        const isValid = await bcrypt.compare(password, user.password);
-        if (!isValid) return res.status(401).json({ message: 'Invalid credentials.' });
-        res.status(200).json({ message: 'Login successful!' });
-    } catch (error) {
-        console.error("Login error:", error.message);
-        res.status(500).json({ message: 'Error logging in.' });
-    }
+// The same defaults the import has always used, so unchanged jobs compare equal.
+const toChaseText = (value, fallback) => (value ? String(value) : fallback);
+const toChaseJobValues = (job) => ({
+    jobNo: toChaseText(job.JobNo, null),
+    customerName: toChaseText(job.CustomerName, 'N/A'),
+    productName: toChaseText(job.ProductName, 'N/A'),
+    accountExecutive: toChaseText(job.AE, 'N/A'),
+    description: toChaseText(job.Description, 'N/A'),
 });
 
-// --- Data Fetching Route ---
-apiRouter.get('/all-data', async (req, res) => {
-    try {
-        const shipments = await dbAll('SELECT * FROM shipments ORDER BY createdAt DESC');
-        const addresses = await dbAll('SELECT * FROM addresses');
-        const elements = await dbAll('SELECT * FROM elements');
-        const chaseJobs = await dbAll('SELECT j.*, (SELECT GROUP_CONCAT(ce.ce_number) FROM job_ce_numbers ce WHERE ce.job_id = j.id) as ceNumbers FROM chaseJobs j ORDER BY j.createdAt DESC');
-        const deliveryNotes = await dbAll('SELECT * FROM delivery_notes ORDER BY createdAt DESC');
-        res.status(200).json({ shipments, addresses, elements, chaseJobs, deliveryNotes });
-    } catch (error) {
-        console.error("Error fetching all data:", error.message);
-        res.status(500).json({ message: 'Error fetching initial data.' });
+// Each returns { error } for a malformed record; documents that belong to no job are { skip }.
+const CHASE_TEXT_TYPES = ['string', 'number'];
+const parseChaseJob = (job) => {
+    if (!job || typeof job !== 'object') return { error: 'Not a job object.' };
+    if (!Number.isInteger(job.JobID) || job.JobID <= 0) return { error: 'JobID is missing or not a positive whole number.' };
+    const badField = ['JobNo', 'CustomerName', 'ProductName', 'AE', 'Description'].find(field => job[field] != null && !CHASE_TEXT_TYPES.includes(typeof job[field]));
+    if (badField) return { error: `${badField} is not text.` };
+    return { values: toChaseJobValues(job) };
+};
+
+const parseChaseDocument = (doc) => {
+    if (!doc || typeof doc !== 'object') return { error: 'Not a document object.' };
+    if (doc.JobID == null) return { skip: 'Not linked to a job.' };
+    if (!Number.isInteger(doc.JobID) || doc.JobID <= 0) return { error: 'JobID is not a positive whole number.' };
+    if (doc.DocNo == null || doc.DocNo === '') return { error: 'DocNo is missing.' };
+    if (!CHASE_TEXT_TYPES.includes(typeof doc.DocNo)) return { error: 'DocNo is not text.' };
+    return { chaseJobId: doc.JobID, ceNumber: String(doc.DocNo) };
+};
+
+const describeChaseError = (error) => {
+    if (axios.isAxiosError(error)) {
+        return error.response ? `Chase API error: ${error.response.status}` : (error.request ? 'No response from Chase API' : `Request setup error: ${error.message}`);
     }
-});
+    return error.message;
+};
 
-// --- Individual GET Routes ---
-apiRouter.get('/shipments', async (req, res) => {
-    try {
-        const shipments = await dbAll('SELECT * FROM shipments ORDER BY createdAt DESC');
-        res.status(200).json(shipments);
-    } catch (error) {
-        res.status(500).json({ message: 'Error fetching shipments.' });
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Timeouts, dropped connections, 429 and 5xx are worth another try; anything else (e.g. 401 for a wrong password) is not.
+const isRetryableChaseError = (error) => axios.isAxiosError(error) && (!error.response || error.response.status === 429 || error.response.status >= 500);
+
+const fetchChaseList = async (resource, axiosConfig, onProgress) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const { data } = await axios.get(`${CHASE_API_URL}/${resource}`, axiosConfig);
+            if (!Array.isArray(data)) throw new Error(`API response from /api/${resource} was not an array.`);
+            return data;
+        } catch (error) {
+            if (attempt >= CHASE_RETRY_ATTEMPTS || !isRetryableChaseError(error)) throw error;
+            const delayMs = Math.round(CHASE_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() / 2));
+            console.warn(`Chase /api/${resource} failed (${describeChaseError(error)}), retrying in ${delayMs} ms.`);
+            onProgress({ type: 'retry', resource, attempt, delayMs, message: describeChaseError(error) });
+            await wait(delayMs);
+        }
     }
-});
-apiRouter.get('/addresses', async (req, res) => {
-    try {
-        const addresses = await dbAll('SELECT * FROM addresses');
-        res.status(200).json(addresses);
-    } catch (error) {
-        res.status(500).json({ message: 'Error fetching addresses.' });
+};
+
+// Every chunk is its own transaction, so other requests get the database between chunks and a failure only undoes the chunk in progress.
+// handleItem records what it did in the chunk's tally (made by newTally), which reaches onChunkDone only once the chunk has committed.
+const runInChunks = async (items, newTally, handleItem, onChunkDone) => {
+    for (let start = 0; start < items.length; start += CHASE_SYNC_CHUNK_SIZE) {
+        const chunk = items.slice(start, start + CHASE_SYNC_CHUNK_SIZE);
+        const tally = await withTransaction(async () => {
+            const chunkTally = newTally();
+            for (const [offset, item] of chunk.entries()) await handleItem(item, start + offset, chunkTally);
+            return chunkTally;
+        });
+        onChunkDone(tally, start + chunk.length);
     }
-});
-apiRouter.get('/elements', async (req, res) => {
+};
+
+let chaseSyncInProgress = false;
+
+// Returns { success, message, run } and records the run, with its per-record report, in chase_sync_runs.
+// onProgress receives { type: 'fetch' | 'progress' | 'retry', ... } events while the sync runs.
+const syncChaseData = async ({ username, password }, { trigger, startedBy = null, onProgress = () => {} }) => {
+    if (chaseSyncInProgress) return { success: false, busy: true, message: 'A Chase sync is already running.' };
+    chaseSyncInProgress = true;
+    const counts = { jobsAdded: 0, jobsUpdated: 0, jobsMerged: 0, jobsRemoved: 0, ceNumbersAdded: 0, recordsSkipped: 0, recordsInvalid: 0, documentsWithoutJob: 0, recordsFailed: 0 };
+    const report = { entries: [], truncated: false };
+    const COUNT_FOR_RESULT = { skipped: 'recordsSkipped', invalid: 'recordsInvalid', 'no-matching-job': 'documentsWithoutJob', failed: 'recordsFailed' };
+    // Counts and report entries go into the chunk's tally first, so a rolled-back chunk leaves no trace in the run's totals.
+    const newTally = () => ({ counts: Object.fromEntries(Object.keys(counts).map(column => [column, 0])), entries: [] });
+    const addReportEntry = (tally, record, position, key, result, reason) => {
+        tally.counts[COUNT_FOR_RESULT[result]]++;
+        tally.entries.push({ record, position, key: CHASE_TEXT_TYPES.includes(typeof key) ? key : null, result, reason });
+    };
+    const addTally = (tally) => {
+        Object.entries(tally.counts).forEach(([column, count]) => { counts[column] += count; });
+        const room = CHASE_REPORT_MAX_ENTRIES - report.entries.length;
+        report.entries.push(...tally.entries.slice(0, room));
+        if (tally.entries.length > room) report.truncated = true;
+    };
+    let runId = null;
+    let errorMessage = null;
     try {
-        const elements = await dbAll('SELECT * FROM elements');
-        res.status(200).json(elements);
+        console.log(`Starting Chase sync (${trigger}) for user: ${username}...`);
+        runId = (await dbRun("INSERT INTO chase_sync_runs (trigger, startedBy, startedAt, status) VALUES (?, ?, ?, 'running')", [trigger, startedBy, new Date().toISOString()])).lastID;
+        const axiosConfig = { auth: { username, password }, headers: { 'User-Agent': 'Mozilla/5.0' }, timeout: CHASE_REQUEST_TIMEOUT_MS };
+
+        onProgress({ type: 'fetch', resource: 'Job' });
+        const jobs = await fetchChaseList('Job', axiosConfig, onProgress);
+        // An empty list is far more likely a Chase fault than every job being removed.
+        if (!jobs.some(job => job && job.JobID)) throw new Error('Chase returned no jobs, so nothing was changed.');
+
+        const now = new Date().toISOString();
+        const existingJobs = new Map((await dbAll('SELECT * FROM chaseJobs WHERE chaseJobId IS NOT NULL')).map(job => [job.chaseJobId, job]));
+        const manualJobs = new Map((await dbAll("SELECT id, jobNo FROM chaseJobs WHERE source = 'manual' AND chaseJobId IS NULL AND jobNo IS NOT NULL")).map(job => [job.jobNo, job]));
+        const seen = new Set();
+        await runInChunks(jobs, newTally, async (job, index, tally) => {
+            const parsed = parseChaseJob(job);
+            if (parsed.error) return addReportEntry(tally, 'job', index + 1, job?.JobNo ?? job?.JobID, 'invalid', parsed.error);
+            if (seen.has(job.JobID)) return addReportEntry(tally, 'job', index + 1, job.JobNo ?? job.JobID, 'skipped', 'JobID appears more than once; the first one was used.');
+            seen.add(job.JobID);
+            const { values } = parsed;
+            const existing = existingJobs.get(job.JobID);
+            const manual = !existing && manualJobs.get(values.jobNo);
+            try {
+                if (manual) {
+                    // The job keeps its id, status and CE numbers; Chase's details replace the ones typed in here
+                    await dbRun(`UPDATE chaseJobs SET ${CHASE_JOB_FIELDS.map(field => `${field} = ?`).join(', ')}, chaseJobId = ?, source = 'chase', updatedAt = ? WHERE id = ?`, [...CHASE_JOB_FIELDS.map(field => values[field]), job.JobID, now, manual.id]);
+                    manualJobs.delete(values.jobNo);
+                    tally.counts.jobsMerged++;
+                } else if (!existing) {
+                    await dbRun(`INSERT INTO chaseJobs (jobNo, customerName, productName, accountExecutive, description, status, chaseJobId, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [...CHASE_JOB_FIELDS.map(field => values[field]), IMPORTED_JOB_STATUS, job.JobID, now, now]);
+                    tally.counts.jobsAdded++;
+                } else if (existing.removedAt || CHASE_JOB_FIELDS.some(field => existing[field] !== values[field])) {
+                    await dbRun(`UPDATE chaseJobs SET ${CHASE_JOB_FIELDS.map(field => `${field} = ?`).join(', ')}, updatedAt = ?, removedAt = NULL WHERE id = ?`, [...CHASE_JOB_FIELDS.map(field => values[field]), now, existing.id]);
+                    tally.counts.jobsUpdated++;
+                }
+            } catch (error) {
+                addReportEntry(tally, 'job', index + 1, values.jobNo ?? job.JobID, 'failed', error.message);
+            }
+        }, (tally, done) => {
+            addTally(tally);
+            onProgress({ type: 'progress', stage: 'jobs', done, total: jobs.length });
+        });
+
+        const removed = [...existingJobs.values()].filter(job => !seen.has(job.chaseJobId) && !job.removedAt);
+        await runInChunks(removed, newTally, async (job, index, tally) => {
+            await dbRun('UPDATE chaseJobs SET removedAt = ?, updatedAt = ? WHERE id = ?', [now, now, job.id]);
+            tally.counts.jobsRemoved++;
+        }, (tally, done) => {
+            addTally(tally);
+            onProgress({ type: 'progress', stage: 'removed', done, total: removed.length });
+        });
+
+        onProgress({ type: 'fetch', resource: 'Document' });
+        const docs = await fetchChaseList('Document/FormID/4', axiosConfig, onProgress);
+        const jobIds = new Map((await dbAll('SELECT id, chaseJobId FROM chaseJobs WHERE chaseJobId IS NOT NULL')).map(job => [job.chaseJobId, job.id]));
+        await runInChunks(docs, newTally, async (doc, index, tally) => {
+            const parsed = parseChaseDocument(doc);
+            if (parsed.error || parsed.skip) return addReportEntry(tally, 'document', index + 1, doc?.DocNo, parsed.error ? 'invalid' : 'skipped', parsed.error || parsed.skip);
+            const jobId = jobIds.get(parsed.chaseJobId);
+            if (!jobId) return addReportEntry(tally, 'document', index + 1, parsed.ceNumber, 'no-matching-job', `No job with Chase JobID ${parsed.chaseJobId}.`);
+            try {
+                const result = await dbRun('INSERT OR IGNORE INTO job_ce_numbers (job_id, ce_number) VALUES (?, ?)', [jobId, parsed.ceNumber]);
+                if (result.changes > 0) tally.counts.ceNumbersAdded++;
+            } catch (error) {
+                addReportEntry(tally, 'document', index + 1, parsed.ceNumber, 'failed', error.message);
+            }
+        }, (tally, done) => {
+            addTally(tally);
+            onProgress({ type: 'progress', stage: 'documents', done, total: docs.length });
+        });
     } catch (error) {
-        res.status(500).json({ message: 'Error fetching elements.' });
+        errorMessage = describeChaseError(error);
+        console.error('Chase sync error:', error);
+    } finally {
+        chaseSyncInProgress = false;
     }
-});
-apiRouter.get('/chase-jobs', async (req, res) => {
+
+    const problems = counts.recordsInvalid + counts.documentsWithoutJob + counts.recordsFailed;
+    const message = errorMessage || `Sync complete. Added ${counts.jobsAdded} new jobs, updated ${counts.jobsUpdated}, merged ${counts.jobsMerged} local jobs, marked ${counts.jobsRemoved} as removed and linked ${counts.ceNumbersAdded} new CE numbers.${problems || counts.recordsSkipped ? ` ${counts.recordsSkipped} records skipped, ${counts.recordsInvalid} invalid, ${counts.documentsWithoutJob} documents without a matching job, ${counts.recordsFailed} failed.` : ''}`;
+    if (!runId) return { success: false, message };
     try {
-        const chaseJobs = await dbAll('SELECT j.*, (SELECT GROUP_CONCAT(ce.ce_number) FROM job_ce_numbers ce WHERE ce.job_id = j.id) as ceNumbers FROM chaseJobs j ORDER BY j.createdAt DESC');
-        res.status(200).json(chaseJobs);
+        await dbRun(`UPDATE chase_sync_runs SET finishedAt = ?, status = ?, ${Object.keys(counts).map(column => `${column} = ?`).join(', ')}, report = ?, error = ? WHERE id = ?`,
+            [new Date().toISOString(), errorMessage ? 'failed' : 'success', ...Object.values(counts), JSON.stringify(report), errorMessage, runId]);
+        await dbRun('DELETE FROM chase_sync_runs WHERE id NOT IN (SELECT id FROM chase_sync_runs ORDER BY id DESC LIMIT ?)', [CHASE_SYNC_RUNS_KEPT]);
     } catch (error) {
-        res.status(500).json({ message: 'Error fetching chase jobs.' });
+        console.error('Could not record Chase sync run:', error.message);
     }
-});
+    return { success: !errorMessage, message, run: await getChaseSyncRun(runId).catch(() => null) };
+};
 
-// New endpoint to find a job by its CE number
-apiRouter.get('/chase-jobs/by-ce/:ceNumber', async (req, res) => {
+const getChaseSyncRun = async (id) => {
+    const run = await dbGet('SELECT * FROM chase_sync_runs WHERE id = ?', [id]);
+    if (run) run.report = run.report ? JSON.parse(run.report) : { entries: [], truncated: false };
+    return run;
+};
+
+// One timer; saving the sync settings reschedules it.
+let chaseSyncTimer = null;
+let nextChaseSyncAt = null;
+const scheduleChaseSync = async () => {
+    clearTimeout(chaseSyncTimer);
+    chaseSyncTimer = null;
+    nextChaseSyncAt = null;
+    const config = await getChaseSyncConfig();
+    if (!config.enabled || !config.username || !config.passwordEncrypted) return;
+    const delay = config.intervalMinutes * 60 * 1000;
+    nextChaseSyncAt = new Date(Date.now() + delay).toISOString();
+    chaseSyncTimer = setTimeout(async () => {
+        try {
+            const current = await getChaseSyncConfig();
+            if (current.enabled && current.username && current.passwordEncrypted) {
+                await syncChaseData({ username: current.username, password: decryptSecret(current.passwordEncrypted) }, { trigger: 'schedule' });
+            }
+        } catch (error) {
+            console.error('Scheduled Chase sync failed:', error.message);
+        }
+        await scheduleChaseSync().catch(error => console.error('Could not schedule the next Chase sync:', error.message));
+    }, delay);
+};
+
+
+// --- Authentication & Roles ---
+const ROLES = ['admin', 'dispatcher', 'read-only'];
+const SESSION_COOKIE = 'courier_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+// Compared against for unknown usernames, so every failed login costs the same bcrypt work.
+const DUMMY_PASSWORD_HASH = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+
+// Returns an error message, or null when the password is acceptable.
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters long.';
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) return 'Password must contain both upper and lower case letters.';
+    if (!/[0-9]/.test(password)) return 'Password must contain at least one number.';
+    return null;
+};
+
+// Only a hash of the token is stored, so a copy of the database cannot be used to log in.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createSession = async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    await dbRun('INSERT INTO sessions (token, user_id, createdAt, expiresAt) VALUES (?, ?, ?, ?)', [hashToken(token), userId, new Date(now).toISOString(), new Date(now + SESSION_TTL_MS).toISOString()]);
+    return token;
+};
+
+// The token is accepted as a bearer token or from the session cookie (needed for PDFs opened in a new tab).
+const getRequestToken = (req) => {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+    const cookies = (req.headers.cookie || '').split(';').map(c => c.trim().split('='));
+    const sessionCookie = cookies.find(([name]) => name === SESSION_COOKIE);
+    return sessionCookie ? decodeURIComponent(sessionCookie[1] || '') : null;
+};
+
+const authenticate = async (req, res, next) => {
     try {
-        const { ceNumber } = req.params;
-        const job = await dbGet(`
-            SELECT j.* FROM chaseJobs j 
-            JOIN job_ce_numbers ce ON j.id = ce.job_id 
-            WHERE ce.ce_number = ?`, 
-            [ceNumber]
-        );
-        if (job) {
-            res.status(200).json(job);
-        } else {
-            res.status(404).json({ message: 'Job not found for this CE number.' });
+        const token = getRequestToken(req);
+        if (!token) return res.status(401).json({ message: 'Authentication required.' });
+        const session = await dbGet(`
+            SELECT u.id, u.username, u.role, u.disabled, u.mustChangePassword, s.expiresAt FROM sessions s
+            JOIN users u ON u.id = s.user_id
+            WHERE s.token = ?`, [hashToken(token)]);
+        if (!session || session.disabled || new Date(session.expiresAt) < new Date()) {
+            if (session) await dbRun('DELETE FROM sessions WHERE token = ?', [hashToken(token)]);
+            return res.status(401).json({ message: 'Session expired. Please log in again.' });
         }
+        req.user = { id: session.id, username: session.username, role: session.role, mustChangePassword: !!session.mustChangePassword };
+        req.sessionToken = token;
+        next();
     } catch (error) {
-         res.status(500).json({ message: 'Error fetching job by CE number.' });
+        console.error('Authentication error:', error.message);
+        res.status(500).json({ message: 'Error checking session.' });
     }
-});
+};
 
-apiRouter.get('/delivery-notes', async (req, res) => {
-    try {
-        const deliveryNotes = await dbAll('SELECT * FROM delivery_notes ORDER BY createdAt DESC');
-        res.status(200).json(deliveryNotes);
-    } catch (error) {
-        res.status(500).json({ message: 'Error fetching delivery notes.' });
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action.' });
     }
-});
+    next();
+};
 
+// Until a forced password change is done, the session can only be used to change the password or log out.
+const PASSWORD_CHANGE_PATHS = ['/me', '/logout', '/password'];
+const requirePasswordChanged = (req, res, next) => {
+    if (!req.user.mustChangePassword || PASSWORD_CHANGE_PATHS.includes(req.path)) return next();
+    res.status(403).json({ message: 'You must change your password before continuing.', mustChangePassword: true });
+};
 
-// --- Shipments CRUD ---
-apiRouter.post('/shipments', async (req, res) => {
-    const { 
-        senderName, senderContact, senderAddress, 
-        recipientName, recipientContact, recipientAddress, 
-        associatedJobNo, ceNumber, elements,
-        courier_charge 
-    } = req.body;
+// Read-only users may only fetch data; every other method needs dispatcher or admin.
+const restrictReadOnly = (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+    return requireRole('admin', 'dispatcher')(req, res, next);
+};
 
-    if (!senderName || !senderAddress || !recipientName || !recipientAddress) {
-        return res.status(400).json({ message: 'Missing required sender/recipient fields.' });
-    }
 
-    try {
-        await dbRun('BEGIN TRANSACTION');
-        const counter = await dbGet("SELECT currentNumber FROM counters WHERE name = 'shipmentCounter'");
-        const newCount = (counter ? counter.currentNumber : 1000) + 1;
-        const trackingNumber = `T${newCount}`;
-        
-        const finalCharge = parseFloat(courier_charge) || null;
-
-        const shipmentCols = [
-            senderName, senderContact || null, senderAddress, 
-            recipientName, recipientContact || null, recipientAddress, 
-            associatedJobNo || null, ceNumber || null, 
-            trackingNumber, new Date().toISOString(), 'Pending',
-            finalCharge
-        ];
-        
-        const shipmentResult = await dbRun(`
-            INSERT INTO shipments (
-                senderName, senderContact, senderAddress, 
-                recipientName, recipientContact, recipientAddress, 
-                associatedJobNo, ceNumber, trackingNumber, createdAt, status,
-                courier_charge
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, shipmentCols);
-        const shipmentId = shipmentResult.lastID;
-
-        if (elements && Array.isArray(elements) && elements.length > 0) {
-            for (const element of elements) {
-                if (element.description && element.quantity) {
-                    await dbRun('INSERT INTO shipment_elements (shipment_id, description, quantity) VALUES (?, ?, ?)', [shipmentId, element.description, element.quantity]);
-                }
-            }
-        }
-        
-        await dbRun("UPDATE counters SET currentNumber = ? WHERE name = 'shipmentCounter'", [newCount]);
-        await dbRun('COMMIT');
-        res.status(201).json({ message: 'Shipment created successfully!', trackingNumber });
-    } catch (error) {
-        await dbRun('ROLLBACK');
-        console.error("Error creating shipment:", error);
-        res.status(500).json({ message: 'Error creating shipment record.', error: error.message });
+// --- Shipment Statuses ---
+const SHIPMENT_STATUSES = ['Pending', 'In Transit', 'Out for Delivery', 'Delivered', 'Delayed'];
+const INITIAL_SHIPMENT_STATUS = 'Pending';
+// Legal moves from each status. Anything else (e.g. Delivered back to Pending) needs an override reason.
+const STATUS_TRANSITIONS = {
+    'Pending': ['In Transit', 'Out for Delivery', 'Delayed'],
+    'In Transit': ['Out for Delivery', 'Delivered', 'Delayed'],
+    'Out for Delivery': ['Delivered', 'Delayed', 'In Transit'],
+    'Delayed': ['In Transit', 'Out for Delivery', 'Delivered'],
+    'Delivered': [],
+};
+
+// Staying in the same status is allowed so that notes and locations can be added.
+// Legacy rows may hold a status outside the set; they may move anywhere.
+const isStandardTransition = (fromStatus, toStatus) => {
+    return fromStatus === toStatus || !STATUS_TRANSITIONS[fromStatus] || STATUS_TRANSITIONS[fromStatus].includes(toStatus);
+};
+
+// Returns an error message, or null when the shipment may move from one status to the other.
+const checkStatusTransition = (fromStatus, toStatus, overrideReason) => {
+    if (fromStatus === toStatus) return null; // checked first so legacy statuses survive edits that keep them
+    if (!SHIPMENT_STATUSES.includes(toStatus)) return `Invalid status "${toStatus}". Must be one of: ${SHIPMENT_STATUSES.join(', ')}.`;
+    if (isStandardTransition(fromStatus, toStatus)) return null;
+    if (overrideReason && String(overrideReason).trim()) return null;
+    return `Cannot change status from ${fromStatus} to ${toStatus} without an override reason.`;
+};
+
+// Barcode scan types and the status each one moves a shipment to.
+// Types are matched case-insensitively, with spaces and underscores treated as dashes ("Picked up" = "picked-up").
+const SCAN_TYPES = {
+    'picked-up': { label: 'Picked up', status: 'In Transit' },
+    'loaded': { label: 'Loaded', status: 'In Transit' },
+    'out-for-delivery': { label: 'Out for delivery', status: 'Out for Delivery' },
+    'delivered': { label: 'Delivered', status: 'Delivered' },
+};
+const SCAN_BATCH_MAX = 500;
+
+const normalizeScanType = (scanType) => String(scanType || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+// --- Shipment Status History ---
+const recordStatusEvent = (shipmentId, status, { note = null, location = null, username = null } = {}) => {
+    return dbRun('INSERT INTO shipment_status_events (shipment_id, status, note, location, username, createdAt) VALUES (?, ?, ?, ?, ?, ?)', [shipmentId, status, note || null, location || null, username, new Date().toISOString()]);
+};
+
+// --- Job Statuses ---
+// Chase jobs arrive as 'Imported' and jobs created here start as 'Open'; both then follow the same lifecycle.
+const JOB_STATUSES = ['Imported', 'Open', 'In Progress', 'Completed', 'Cancelled'];
+const INITIAL_JOB_STATUS = 'Open';
+const IMPORTED_JOB_STATUS = 'Imported';
+const JOB_STATUS_TRANSITIONS = {
+    'Imported': ['In Progress', 'Completed', 'Cancelled'],
+    'Open': ['In Progress', 'Completed', 'Cancelled'],
+    'In Progress': ['Completed', 'Cancelled'],
+    'Completed': ['In Progress'],
+    'Cancelled': ['Open'],
+};
+const JOB_SOURCES = ['chase', 'manual'];
+
+const recordJobStatusEvent = (jobId, fromStatus, status, { note = null, username = null } = {}) => {
+    return dbRun('INSERT INTO job_status_events (job_id, fromStatus, status, note, username, createdAt) VALUES (?, ?, ?, ?, ?, ?)', [jobId, fromStatus, status, note || null, username, new Date().toISOString()]);
+};
+
+
+// --- Money (VAT, currency, rounding) ---
+// Stored in the settings table next to the waybill settings; these are the defaults when a key is missing.
+const MONEY_DEFAULTS = { vatRate: 15, currencySymbol: 'R', currencyDecimals: 2, roundingMode: 'half-up' };
+const ROUNDING_MODES = ['half-up', 'half-even', 'up', 'down'];
+
+// Checks money-related values before they are saved; returns an error message or null.
+const validateMoneySettings = (values) => {
+    if ('vatRate' in values) {
+        const rate = Number(values.vatRate);
+        if (values.vatRate === '' || isNaN(rate) || rate < 0 || rate > 100) return 'VAT rate must be a percentage between 0 and 100.';
     }
+    if ('currencyDecimals' in values && !/^[0-4]$/.test(String(values.currencyDecimals))) return 'Currency decimals must be a whole number from 0 to 4.';
+    if ('roundingMode' in values && !ROUNDING_MODES.includes(values.roundingMode)) return `Rounding mode must be one of: ${ROUNDING_MODES.join(', ')}.`;
+    if ('currencySymbol' in values && String(values.currencySymbol).length > 5) return 'Currency symbol can be at most 5 characters.';
+    return null;
+};
+
+const parseMoneySettings = (settings) => ({
+    vatRate: settings.vatRate !== undefined && settings.vatRate !== '' ? Number(settings.vatRate) : MONEY_DEFAULTS.vatRate,
+    currencySymbol: settings.currencySymbol !== undefined ? settings.currencySymbol : MONEY_DEFAULTS.currencySymbol,
+    currencyDecimals: settings.currencyDecimals !== undefined && settings.currencyDecimals !== '' ? Number(settings.currencyDecimals) : MONEY_DEFAULTS.currencyDecimals,
+    roundingMode: ROUNDING_MODES.includes(settings.roundingMode) ? settings.roundingMode : MONEY_DEFAULTS.roundingMode,
 });
 
-apiRouter.get('/shipments/:trackingNumber', async (req, res) => {
-    const { trackingNumber } = req.params;
-    try {
-        const shipment = await dbGet('SELECT * FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
-        if (!shipment) return res.status(404).json({ message: 'Shipment not found.' });
-        const elements = await dbAll('SELECT * FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
-        shipment.elements = elements;
-        res.status(200).json(shipment);
-    } catch (error) {
-        res.status(500).json({ message: 'Database error fetching shipment details.' });
+const getMoneySettings = async () => {
+    const rows = await dbAll("SELECT key, value FROM settings WHERE key IN ('vatRate', 'currencySymbol', 'currencyDecimals', 'roundingMode')");
+    return parseMoneySettings(rows.reduce((acc, row) => ({ ...acc, [row.key]: row.value }), {}));
+};
+
+const roundMoney = (amount, { currencyDecimals, roundingMode }) => {
+    const factor = 10 ** currencyDecimals;
+    // toPrecision drops binary noise first, so 1.005 * 100 rounds as 100.5 and not 100.49999...
+    const scaled = Number((amount * factor).toPrecision(12));
+    const floor = Math.floor(scaled);
+    let rounded;
+    if (roundingMode === 'up') rounded = Math.ceil(scaled);
+    else if (roundingMode === 'down') rounded = Math.trunc(scaled);
+    else if (roundingMode === 'half-even' && scaled - floor === 0.5) rounded = floor % 2 === 0 ? floor : floor + 1;
+    else rounded = Math.sign(scaled) * Math.round(Math.abs(scaled));
+    return rounded / factor;
+};
+
+const formatMoney = (amount, money) => `${money.currencySymbol ? `${money.currencySymbol} ` : ''}${roundMoney(parseFloat(amount) || 0, money).toFixed(money.currencyDecimals)}`;
+
+// Each line is rounded, VAT is charged on the non-exempt lines at the given rate and rounded once.
+const calculateTotals = (items, vatRate, money) => {
+    let subtotal = 0;
+    let taxable = 0;
+    for (const item of items) {
+        const lineTotal = roundMoney((parseFloat(item.quantity) || 0) * (parseFloat(item.price) || 0), money);
+        subtotal += lineTotal;
+        if (!item.vatExempt) taxable += lineTotal;
     }
-});
+    subtotal = roundMoney(subtotal, money);
+    const vat = roundMoney(taxable * vatRate / 100, money);
+    return { subtotal, vat, total: roundMoney(subtotal + vat, money) };
+};
 
-apiRouter.put('/shipments/:trackingNumber', async (req, res) => {
-    const { trackingNumber } = req.params;
-    const { 
-        senderName, senderContact, senderAddress, 
-        recipientName, recipientContact, recipientAddress, 
-        associatedJobNo, ceNumber, status, elements,
-        courier_charge
-    } = req.body;
-    try {
-        await dbRun('BEGIN TRANSACTION');
-        
-        const shipment = await dbGet('SELECT id FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
-        if (!shipment) {
-            await dbRun('ROLLBACK');
-            return res.status(404).json({ message: 'Shipment not found.' });
-        }
 
-        const finalCharge = parseFloat(courier_charge) || null;
+// --- Quoting (zones, weight tiers, service levels, surcharges) ---
+// Volumetric weight in kg is length x width x height in cm divided by this (setting volumetricDivisor).
+const DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+const SURCHARGE_TYPES = ['fixed', 'percent'];
+const ELEMENT_MEASURES = ['weightKg', 'lengthCm', 'widthCm', 'heightCm'];
+const POSTAL_CODE_RANGE = /^\d{4}(\s*-\s*\d{4})?$/;
 
-        const shipmentCols = [
-            senderName, senderContact, senderAddress, 
-            recipientName, recipientContact, recipientAddress, 
-            associatedJobNo, ceNumber || '', status, 
-            finalCharge,
-            trackingNumber
-        ];
-        await dbRun(`
-            UPDATE shipments SET 
-            senderName = ?, senderContact = ?, senderAddress = ?, 
-            recipientName = ?, recipientContact = ?, recipientAddress = ?, 
-            associatedJobNo = ?, ceNumber = ?, status = ?,
-            courier_charge = ?
-            WHERE trackingNumber = ?`, shipmentCols);
-        
-        await dbRun('DELETE FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
-        if (elements && elements.length > 0) {
-            for (const element of elements) {
-                await dbRun('INSERT INTO shipment_elements (shipment_id, description, quantity) VALUES (?, ?, ?)', [shipment.id, element.description, element.quantity]);
-            }
+const splitList = (value) => String(value || '').split(',').map(part => part.trim()).filter(Boolean);
+const normalizeWords = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const roundWeight = (kg) => Math.round(kg * 100) / 100;
+
+// Element weight and dimensions are optional, but must be non-negative numbers when given.
+const validateElementMeasures = (elements) => {
+    for (const element of Array.isArray(elements) ? elements : []) {
+        for (const measure of ELEMENT_MEASURES) {
+            const value = element[measure];
+            if (value === undefined || value === null || value === '') continue;
+            if (isNaN(Number(value)) || Number(value) < 0) return `Element "${element.description || ''}" has an invalid ${measure}.`;
         }
-        
-        await dbRun('COMMIT');
-        res.status(200).json({ message: 'Shipment updated successfully!' });
-    } catch (error) {
-        await dbRun('ROLLBACK');
-        console.error("Error updating shipment:", error.message);
-        res.status(500).json({ message: 'Error updating shipment.' });
     }
+    return null;
+};
+
+const getElementMeasures = (element) => ELEMENT_MEASURES.map(measure => {
+    const value = element[measure];
+    return value === undefined || value === null || value === '' ? null : Number(value);
 });
 
-apiRouter.delete('/shipments/:trackingNumber', async (req, res) => {
-    try {
+// Postal codes are a comma-separated list of codes and ranges, e.g. "2000-2199, 2040".
+const postalCodeInList = (postalCode, list) => {
+    const code = parseInt(postalCode, 10);
+    return splitList(list).some(part => {
+        const [from, to = from] = part.split('-').map(value => parseInt(value, 10));
+        return code >= from && code <= to;
+    });
+};
+
+// Postal codes are four digits; the last four-digit number in an address is taken as its code.
+const extractPostalCode = (address) => {
+    const matches = String(address || '').match(/\b\d{4}\b/g);
+    return matches ? matches[matches.length - 1] : null;
+};
+
+// A zone can be named outright; otherwise a postal code match wins over a suburb match (whole words, any case).
+const findZone = (zones, { zone, postalCode, address }) => {
+    if (zone) return zones.find(z => z.name.toLowerCase() === String(zone).trim().toLowerCase()) || null;
+    const code = postalCode ? String(postalCode).trim() : extractPostalCode(address);
+    const byCode = code ? zones.find(z => postalCodeInList(code, z.postalCodes)) : null;
+    if (byCode) return byCode;
+    const text = ` ${normalizeWords(address)} `;
+    return zones.find(z => splitList(z.suburbs).some(suburb => normalizeWords(suburb) && text.includes(` ${normalizeWords(suburb)} `))) || null;
+};
+
+const getRateCard = async () => {
+    const divisor = await dbGet("SELECT value FROM settings WHERE key = 'volumetricDivisor'");
+    const zones = await dbAll('SELECT * FROM rate_zones ORDER BY name');
+    const serviceLevels = await dbAll('SELECT * FROM service_levels ORDER BY sortOrder, code');
+    const tiers = await dbAll(`
+        SELECT t.*, o.name AS origin, d.name AS destination FROM rate_tiers t
+        JOIN rate_zones o ON o.id = t.origin_zone_id
+        JOIN rate_zones d ON d.id = t.destination_zone_id
+        ORDER BY o.name, d.name, t.serviceLevel, t.maxWeightKg`);
+    const surcharges = await dbAll('SELECT * FROM surcharges ORDER BY code');
+    return {
+        volumetricDivisor: divisor && Number(divisor.value) > 0 ? Number(divisor.value) : DEFAULT_VOLUMETRIC_DIVISOR,
+        zones,
+        serviceLevels,
+        tiers,
+        surcharges: surcharges.map(s => ({ ...s, automatic: !!s.automatic })),
+    };
+};
+
+// Checks a full rate card (as sent to PUT /rates) before it replaces the stored one; returns an error message or null.
+const validateRateCard = (card) => {
+    const { volumetricDivisor, zones, serviceLevels, tiers, surcharges } = card || {};
+    if (volumetricDivisor !== undefined && !(Number(volumetricDivisor) > 0)) return 'Volumetric divisor must be a positive number.';
+    if (![zones, serviceLevels, tiers, surcharges].every(Array.isArray)) return 'A rate card needs zones, serviceLevels, tiers and surcharges lists.';
+    const zoneNames = new Set();
+    for (const zone of zones) {
+        const name = String(zone.name || '').trim().toLowerCase();
+        if (!name) return 'Every zone needs a name.';
+        if (zoneNames.has(name)) return `Zone "${zone.name}" is listed twice.`;
+        zoneNames.add(name);
+        const badRange = splitList(zone.postalCodes).find(part => !POSTAL_CODE_RANGE.test(part));
+        if (badRange) return `Zone "${zone.name}" has an invalid postal code or range "${badRange}".`;
+    }
+    const levelCodes = new Set();
+    for (const level of serviceLevels) {
+        if (!/^[a-z0-9-]+$/.test(level.code || '')) return 'Service level codes must be lower case letters, digits and dashes.';
+        if (levelCodes.has(level.code)) return `Service level "${level.code}" is listed twice.`;
+        if (!String(level.name || '').trim()) return `Service level "${level.code}" needs a name.`;
+        levelCodes.add(level.code);
+    }
+    const tierKeys = new Set();
+    for (const tier of tiers) {
+        const label = `${tier.origin} to ${tier.destination} (${tier.serviceLevel})`;
+        if (!zoneNames.has(String(tier.origin || '').trim().toLowerCase()) || !zoneNames.has(String(tier.destination || '').trim().toLowerCase())) return `Rate ${label} refers to an unknown zone.`;
+        if (!levelCodes.has(tier.serviceLevel)) return `Rate ${label} refers to an unknown service level.`;
+        if (!(Number(tier.maxWeightKg) > 0)) return `Rate ${label} needs a maximum weight above 0 kg.`;
+        if (tier.charge === '' || isNaN(Number(tier.charge)) || Number(tier.charge) < 0) return `Rate ${label} needs a charge of 0 or more.`;
+        if (tier.excessPerKg !== undefined && tier.excessPerKg !== null && tier.excessPerKg !== '' && (isNaN(Number(tier.excessPerKg)) || Number(tier.excessPerKg) < 0)) return `Rate ${label} has an invalid excess per kg.`;
+        const key = [tier.origin, tier.destination, tier.serviceLevel, Number(tier.maxWeightKg)].join('|').toLowerCase();
+        if (tierKeys.has(key)) return `Rate ${label} up to ${tier.maxWeightKg} kg is listed twice.`;
+        tierKeys.add(key);
+    }
+    const surchargeCodes = new Set();
+    for (const surcharge of surcharges) {
+        if (!/^[a-z0-9-]+$/.test(surcharge.code || '')) return 'Surcharge codes must be lower case letters, digits and dashes.';
+        if (surchargeCodes.has(surcharge.code)) return `Surcharge "${surcharge.code}" is listed twice.`;
+        surchargeCodes.add(surcharge.code);
+        if (!String(surcharge.name || '').trim()) return `Surcharge "${surcharge.code}" needs a name.`;
+        if (!SURCHARGE_TYPES.includes(surcharge.type)) return `Surcharge "${surcharge.code}" type must be one of: ${SURCHARGE_TYPES.join(', ')}.`;
+        if (surcharge.amount === '' || isNaN(Number(surcharge.amount)) || Number(surcharge.amount) < 0) return `Surcharge "${surcharge.code}" needs an amount of 0 or more.`;
+    }
+    return null;
+};
+
+// Works out the charge for a shipment; returns { quote } or { error }.
+// The chargeable weight is the larger of the actual and volumetric totals. It is priced by the lightest tier that
+// covers it; above the heaviest tier, that tier's excess rate is charged per extra kg. Automatic surcharges always
+// apply, the others only when requested by code. Percentage surcharges are taken on the freight (tier + excess).
+// The total excludes VAT, like the other amounts stored on shipments; VAT is shown for information.
+const calculateQuote = (rateCard, request, money) => {
+    const { serviceLevel, elements } = request;
+    const level = rateCard.serviceLevels.find(l => l.code === serviceLevel);
+    if (!level) return { error: `Unknown service level "${serviceLevel || ''}". Must be one of: ${rateCard.serviceLevels.map(l => l.code).join(', ')}.` };
+    const origin = findZone(rateCard.zones, { zone: request.originZone, postalCode: request.originPostalCode, address: request.senderAddress });
+    if (!origin) return { error: 'No rate zone matches the sender address.' };
+    const destination = findZone(rateCard.zones, { zone: request.destinationZone, postalCode: request.destinationPostalCode, address: request.recipientAddress });
+    if (!destination) return { error: 'No rate zone matches the recipient address.' };
+    const measuresError = validateElementMeasures(elements);
+    if (measuresError) return { error: measuresError };
+
+    let actualWeightKg = 0;
+    let volumetricWeightKg = 0;
+    for (const element of Array.isArray(elements) ? elements : []) {
+        const quantity = parseFloat(element.quantity) || 1;
+        const [weightKg, lengthCm, widthCm, heightCm] = getElementMeasures(element).map(value => value || 0);
+        actualWeightKg += quantity * weightKg;
+        volumetricWeightKg += quantity * lengthCm * widthCm * heightCm / rateCard.volumetricDivisor;
+    }
+    actualWeightKg = roundWeight(actualWeightKg);
+    volumetricWeightKg = roundWeight(volumetricWeightKg);
+    const chargeableWeightKg = Math.max(actualWeightKg, volumetricWeightKg);
+    if (chargeableWeightKg <= 0) return { error: 'Give the elements a weight or dimensions to get a quote.' };
+
+    const tiers = rateCard.tiers
+        .filter(t => t.origin_zone_id === origin.id && t.destination_zone_id === destination.id && t.serviceLevel === level.code)
+        .sort((a, b) => a.maxWeightKg - b.maxWeightKg);
+    if (tiers.length === 0) return { error: `There is no ${level.name} rate from ${origin.name} to ${destination.name}.` };
+    const tier = tiers.find(t => chargeableWeightKg <= t.maxWeightKg) || tiers[tiers.length - 1];
+    const excessWeightKg = roundWeight(Math.max(0, chargeableWeightKg - tier.maxWeightKg));
+    if (excessWeightKg > 0 && !tier.excessPerKg) return { error: `${chargeableWeightKg} kg is over the heaviest ${level.name} rate from ${origin.name} to ${destination.name} (${tier.maxWeightKg} kg).` };
+
+    const requested = Array.isArray(request.surcharges) ? request.surcharges : splitList(request.surcharges);
+    const unknown = requested.filter(code => !rateCard.surcharges.some(s => s.code === code));
+    if (unknown.length > 0) return { error: `Unknown surcharge: ${unknown.join(', ')}.` };
+
+    const baseCharge = roundMoney(tier.charge, money);
+    const excessCharge = roundMoney(excessWeightKg * (tier.excessPerKg || 0), money);
+    const freight = roundMoney(baseCharge + excessCharge, money);
+    const surcharges = rateCard.surcharges
+        .filter(s => s.automatic || requested.includes(s.code))
+        .map(s => ({ code: s.code, name: s.name, type: s.type, rate: s.amount, amount: roundMoney(s.type === 'percent' ? freight * s.amount / 100 : s.amount, money) }));
+    const total = roundMoney(surcharges.reduce((sum, s) => sum + s.amount, freight), money);
+    const vat = roundMoney(total * money.vatRate / 100, money);
+
+    return {
+        quote: {
+            serviceLevel: level.code,
+            serviceLevelName: level.name,
+            originZone: origin.name,
+            destinationZone: destination.name,
+            actualWeightKg,
+            volumetricWeightKg,
+            volumetricDivisor: rateCard.volumetricDivisor,
+            chargeableWeightKg,
+            tier: { maxWeightKg: tier.maxWeightKg, charge: tier.charge, excessPerKg: tier.excessPerKg },
+            excessWeightKg,
+            baseCharge,
+            excessCharge,
+            surcharges,
+            total,
+            vatRate: money.vatRate,
+            vat,
+            totalInclVat: roundMoney(total + vat, money),
+            currencySymbol: money.currencySymbol,
+            quotedAt: new Date().toISOString(),
+        },
+    };
+};
+
+const quoteShipment = async (request) => calculateQuote(await getRateCard(), request, await getMoneySettings());
+
+
+// --- Images & PDF Helpers ---
+const COMPANY_ADDRESS_LINES = ['9 Zeiss Road, Kimbuilt Industrial Park', 'Unit C3, Honeydew', '2040'];
+
+// Accepts a data URL or bare base64 and returns { type: 'png' | 'jpg', bytes }, or null if it is not a PNG/JPEG.
+const decodeImage = (data) => {
+    if (!data || typeof data !== 'string') return null;
+    const base64 = data.replace(/^data:image\/[a-z]+;base64,/i, '');
+    const bytes = Buffer.from(base64, 'base64');
+    if (bytes.length > 4 && bytes.readUInt32BE(0) === 0x89504e47) return { type: 'png', bytes };
+    if (bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return { type: 'jpg', bytes };
+    return null;
+};
+
+const embedImage = (pdfDoc, image) => image.type === 'png' ? pdfDoc.embedPng(image.bytes) : pdfDoc.embedJpg(image.bytes);
+
+// Scales an embedded image down (never up) to fit inside maxWidth x maxHeight.
+const fitImage = (image, maxWidth, maxHeight) => {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+    return { width: image.width * scale, height: image.height * scale };
+};
+
+
+// Barcodes are rendered locally as PNGs and embedded like any other image.
+const embedCode128 = async (pdfDoc, text) => pdfDoc.embedPng(await bwipjs.toBuffer({ bcid: 'code128', text, scale: 3, height: 10, includetext: true, textxalign: 'center' }));
+const embedQrCode = async (pdfDoc, text) => pdfDoc.embedPng(await bwipjs.toBuffer({ bcid: 'qrcode', text, scale: 4, eclevel: 'M' }));
+
+// Base URL that QR codes point to: the "publicBaseUrl" setting, else the PUBLIC_BASE_URL environment variable.
+// Never taken from the request, whose Host header the client controls. Null when neither is set.
+const getPublicBaseUrl = async () => {
+    const row = await dbGet("SELECT value FROM settings WHERE key = 'publicBaseUrl'");
+    const baseUrl = row && row.value ? row.value : process.env.PUBLIC_BASE_URL;
+    return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+};
+
+// Null without a base URL, so documents print without a QR code rather than with a wrong link.
+const getPublicTrackingUrl = (baseUrl, trackingNumber) => (baseUrl ? `${baseUrl}/track/${encodeURIComponent(trackingNumber)}` : null);
+
+// Draws a Code128 barcode with a QR code to its right, both ending at rightX and vertically centred on centerY.
+const drawScanCodes = async (pdfDoc, page, { barcodeText, qrText, rightX, centerY, height }) => {
+    let x = rightX;
+    if (qrText) {
+        const qrImage = await embedQrCode(pdfDoc, qrText);
+        x -= height;
+        page.drawImage(qrImage, { x, y: centerY - height / 2, width: height, height });
+        x -= 10;
+    }
+    const barcodeImage = await embedCode128(pdfDoc, barcodeText);
+    const barcodeDims = fitImage(barcodeImage, 200, height);
+    page.drawImage(barcodeImage, { x: x - barcodeDims.width, y: centerY - barcodeDims.height / 2, width: barcodeDims.width, height: barcodeDims.height });
+};
+
+
+// --- Waybill Rendering ---
+const wrapText = (text, f, fontSize, maxWidth) => {
+    // Sanitize the text to remove newline characters which can crash the PDF generation
+    const sanitizedText = text ? String(text).replace(/(\r\n|\n|\r)/gm, " ") : "";
+    const words = sanitizedText.split(' ');
+    let lines = [];
+    let currentLine = '';
+    for (const word of words) {
+        const testLine = currentLine + (currentLine ? ' ' : '') + word;
+        const testWidth = f.widthOfTextAtSize(testLine, fontSize);
+        if (testWidth > maxWidth) {
+            lines.push(currentLine);
+            currentLine = word;
+        } else {
+            currentLine = testLine;
+        }
+    }
+    lines.push(currentLine);
+    return lines;
+};
+
+// Loads the waybill settings and embeds the fonts and logo once per document, however many waybills it holds.
+const createWaybillContext = async (pdfDoc, publicBaseUrl) => {
+    const settingsRows = await dbAll('SELECT key, value FROM settings');
+    const settings = settingsRows.reduce((acc, row) => ({ ...acc, [row.key]: row.value }), {});
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    let logoImage = null;
+    try {
+        const logoPath = path.resolve(process.cwd(), 'EB logo.jpg');
+        if (fs.existsSync(logoPath)) {
+            logoImage = await pdfDoc.embedJpg(fs.readFileSync(logoPath));
+        } else {
+            console.log(`Logo not found at path: ${logoPath}`);
+        }
+    } catch (e) { console.error("Could not embed logo from file:", e); }
+    return { pdfDoc, settings, money: parseMoneySettings(settings), font, boldFont, logoImage, publicBaseUrl };
+};
+
+// Appends one shipment's waybill to the context's document. Page numbers count only this waybill's pages.
+const drawWaybill = async (context, shipment) => {
+    const { pdfDoc, settings, money, font, boldFont, logoImage, publicBaseUrl } = context;
+    const elements = await dbAll('SELECT * FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
+    const jobDetails = shipment.associatedJobNo ? await dbGet('SELECT * FROM chaseJobs WHERE jobNo = ?', [shipment.associatedJobNo]) : null;
+    const pod = await dbGet('SELECT receiverName, signature FROM proof_of_delivery WHERE shipment_id = ?', [shipment.id]);
+    const deliveryNote = await dbGet('SELECT deliveryNoteNumber FROM delivery_notes WHERE shipment_id = ?', [shipment.id]);
+
+    const firstPageIndex = pdfDoc.getPageCount();
+    let currentPage = pdfDoc.addPage();
+    const { width, height } = currentPage.getSize();
+    const padding = 40;
+    let y = height - padding;
+
+    let logoBottomY = y;
+    if (logoImage) {
+        const logoDims = logoImage.scale(0.25);
+        currentPage.drawImage(logoImage, { x: padding, y: y - logoDims.height + 20, width: logoDims.width, height: logoDims.height });
+        logoBottomY = y - logoDims.height;
+    }
+
+    let addressY = y;
+    for (const line of COMPANY_ADDRESS_LINES) {
+        const textWidth = font.widthOfTextAtSize(line, 10);
+        currentPage.drawText(line, { x: width - padding - textWidth, y: addressY, font, size: 10, color: rgb(0.2, 0.2, 0.2) });
+        addressY -= 15;
+    }
+
+    y = Math.min(logoBottomY, addressY) - 20;
+
+    const waybillTitle = 'Courier Tracking Document';
+    const waybillTitleWidth = boldFont.widthOfTextAtSize(waybillTitle, 24);
+    currentPage.drawText(waybillTitle, { x: (width - waybillTitleWidth) / 2, y, font: boldFont, size: 24 });
+    y -= 30;
+    
+    let headerBoxHeight = 70;
+    if(shipment.courier_charge) headerBoxHeight += 20;
+    if (deliveryNote) headerBoxHeight += 20;
+
+    currentPage.drawRectangle({ x: padding, y: y - headerBoxHeight, width: width - padding * 2, height: headerBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
+    currentPage.drawText(`TRACKING #: ${shipment.trackingNumber}`, { x: padding + 10, y: y - 20, font: boldFont, size: 14, color: rgb(0.95, 0.1, 0.1) });
+    if (shipment.associatedJobNo) currentPage.drawText(`JOB #: ${shipment.associatedJobNo}`, { x: padding + 10, y: y - 40, font: boldFont, size: 12 });
+    if (shipment.ceNumber) currentPage.drawText(`CE #: ${shipment.ceNumber}`, { x: padding + 10, y: y - 60, font: boldFont, size: 12 });
+    let headerLineY = y - 80;
+    if (deliveryNote) {
+        currentPage.drawText(`DN #: ${deliveryNote.deliveryNoteNumber}`, { x: padding + 10, y: headerLineY, font: boldFont, size: 12 });
+        headerLineY -= 20;
+    }
+    if (shipment.courier_charge) {
+        currentPage.drawText(`Courier Charge: ${formatMoney(shipment.courier_charge, money)}`, { x: padding + 10, y: headerLineY, font: boldFont, size: 10 });
+    }
+    await drawScanCodes(pdfDoc, currentPage, {
+        barcodeText: shipment.trackingNumber,
+        qrText: getPublicTrackingUrl(publicBaseUrl, shipment.trackingNumber),
+        rightX: width - padding - 10,
+        centerY: y - headerBoxHeight / 2,
+        height: headerBoxHeight - 16,
+    });
+    y -= (headerBoxHeight + 10);
+
+    const addressBoxHeight = 110;
+    currentPage.drawRectangle({ x: padding, y: y - addressBoxHeight, width: width - padding * 2, height: addressBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
+    currentPage.drawLine({ start: { x: width / 2, y: y }, end: { x: width / 2, y: y - addressBoxHeight }, thickness: 1.5, color: rgb(0, 0, 0) });
+
+    let textY = y - 20;
+    currentPage.drawText('SENDER (CLIENT):', { x: padding + 10, y: textY, font: boldFont, size: 12 });
+    textY -= 20;
+    currentPage.drawText(`Name: ${shipment.senderName || 'N/A'}`, { x: padding + 10, y: textY, font, size: 10 });
+    textY -= 15;
+    currentPage.drawText(`Contact: ${shipment.senderContact || ''}`, { x: padding + 10, y: textY, font, size: 10 });
+    textY -= 15;
+    const senderAddressLines = wrapText(shipment.senderAddress || 'N/A', font, 10, (width / 2) - padding - 20);
+    senderAddressLines.forEach(line => { currentPage.drawText(line, { x: padding + 10, y: textY, font, size: 10 }); textY -= 15; });
+
+    textY = y - 20;
+    currentPage.drawText('RECIPIENT:', { x: width / 2 + 10, y: textY, font: boldFont, size: 12 });
+    textY -= 20;
+    currentPage.drawText(`Name: ${shipment.recipientName || 'N/A'}`, { x: width / 2 + 10, y: textY, font, size: 10 });
+    textY -= 15;
+    currentPage.drawText(`Contact: ${shipment.recipientContact || ''}`, { x: width / 2 + 10, y: textY, font, size: 10 });
+    textY -= 15;
+    const recipientAddressLines = wrapText(shipment.recipientAddress || 'N/A', font, 10, (width / 2) - padding - 20);
+    recipientAddressLines.forEach(line => { currentPage.drawText(line, { x: width / 2 + 10, y: textY, font, size: 10 }); textY -= 15; });
+    y -= addressBoxHeight + 10;
+    
+    if (jobDetails) {
+        const descriptionLines = wrapText(jobDetails.description || 'N/A', font, 10, width - padding * 2 - 20);
+        const projectBoxHeight = 60 + (descriptionLines.length * 15);
+        currentPage.drawRectangle({ x: padding, y: y - projectBoxHeight, width: width - padding * 2, height: projectBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
+        currentPage.drawText('PROJECT DETAILS:', { x: padding + 10, y: y - 20, font: boldFont, size: 12 });
+        currentPage.drawText(`Client: ${jobDetails.customerName || 'N/A'}`, { x: padding + 10, y: y - 40, font, size: 10 });
+        currentPage.drawText(`Product: ${jobDetails.productName || 'N/A'}`, { x: padding + 10, y: y - 55, font, size: 10 });
+        let descY = y - 70;
+        descriptionLines.forEach(line => { currentPage.drawText(line, { x: padding + 10, y: descY, font, size: 10 }); descY -= 15; });
+        y -= projectBoxHeight + 10;
+    }
+
+    if (elements && elements.length > 0) {
+        const bottomMargin = padding + 150;
+        if (y < bottomMargin + 40) { currentPage = pdfDoc.addPage(); y = currentPage.getSize().height - padding; }
+        currentPage.drawText('ELEMENTS / ITEMS:', { x: padding + 10, y: y - 20, font: boldFont, size: 12 });
+        y -= 40;
+        for (const item of elements) {
+            const descriptionLines = wrapText(item.description || 'N/A', font, 10, width - padding * 2 - 180);
+            const itemHeight = Math.max(30, (descriptionLines.length * 15) + 15);
+            if (y - itemHeight < bottomMargin) { currentPage = pdfDoc.addPage(); y = currentPage.getSize().height - padding; }
+            let currentItemY = y - 10;
+            descriptionLines.forEach(line => { currentPage.drawText(line, { x: padding + 20, y: currentItemY, font, size: 10 }); currentItemY -= 15; });
+            currentPage.drawText(`Qty: ${item.quantity || 'N/A'}`, { x: width - padding - 150, y: y - 10, font, size: 10 });
+            currentPage.drawRectangle({x: width - padding - 100, y: y - 12, width: 15, height: 15, borderColor: rgb(0,0,0), borderWidth: 1});
+            currentPage.drawText('Packed', { x: width - padding - 80, y: y - 10, font, size: 10 });
+            y -= itemHeight;
+        }
+    }
+    
+    const pages = pdfDoc.getPages().slice(firstPageIndex);
+    const creationDate = shipment.createdAt ? new Date(shipment.createdAt).toLocaleString('en-ZA') : 'N/A';
+    for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
+        const { width: pageWidth } = page.getSize();
+        if (i === pages.length - 1) {
+            const signatureY = padding + 80;
+            page.drawRectangle({ x: padding, y: signatureY - 60, width: pageWidth - padding * 2, height: 60, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
+            page.drawLine({ start: { x: padding, y: signatureY - 20 }, end: { x: pageWidth - padding, y: signatureY - 20 }, thickness: 0.5, color: rgb(0.75, 0.75, 0.75) });
+            page.drawText('Sender Signature:', { x: padding + 10, y: signatureY - 15, font, size: 10 });
+            page.drawText('Recipient Signature:', { x: width / 2 + 10, y: signatureY - 15, font, size: 10 });
+            if (pod) {
+                const signatureImage = await embedImage(pdfDoc, decodeImage(pod.signature));
+                const signatureDims = fitImage(signatureImage, pageWidth / 2 - padding - 120, 36);
+                page.drawImage(signatureImage, { x: width / 2 + 10, y: signatureY - 58, width: signatureDims.width, height: signatureDims.height });
+                page.drawText(pod.receiverName, { x: pageWidth - padding - 100, y: signatureY - 45, font, size: 9 });
+            }
+        }
+        const disclaimerY = padding;
+        if (settings.disclaimer) page.drawText(settings.disclaimer, { x: padding, y: disclaimerY, font, size: 8, color: rgb(0.5, 0.5, 0.5) });
+        const dateWidth = font.widthOfTextAtSize(creationDate, 10);
+        page.drawText(creationDate, { x: pageWidth - padding - dateWidth, y: disclaimerY, font, size: 10, color: rgb(0.5, 0.5, 0.5) });
+        const pageNumberText = `Page ${i + 1} of ${pages.length}`;
+        const pageNumberWidth = font.widthOfTextAtSize(pageNumberText, 10);
+        page.drawText(pageNumberText, { x: (pageWidth - pageNumberWidth) / 2, y: disclaimerY, font, size: 10, color: rgb(0.5, 0.5, 0.5) });
+    }
+};
+
+
+// --- List Queries (pagination, filtering, sorting) ---
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+// Filter builder for ?param=a,b style filters: matches any of the comma-separated values.
+const matchAny = (column) => (values) => ({ sql: `${column} IN (${values.map(() => '?').join(', ')})`, params: values });
+
+// Date-only upper bounds (YYYY-MM-DD) include the whole day.
+const parseDateBound = (value, isUpperBound) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString();
+};
+
+// Turns ?from=&to=&search=&sort=&order= and the list's own filters into SQL.
+// Returns { where, params, orderBy } or { error } for bad input.
+const buildListFilters = (query, list) => {
+    const conditions = [];
+    const params = [];
+    for (const [param, buildCondition] of Object.entries(list.filters || {})) {
+        if (!query[param]) continue;
+        const values = String(query[param]).split(',').map(v => v.trim()).filter(Boolean);
+        if (values.length === 0) continue;
+        const condition = buildCondition(values);
+        conditions.push(condition.sql);
+        params.push(...condition.params);
+    }
+    if (query.from) {
+        const from = parseDateBound(query.from, false);
+        if (!from) return { error: 'Invalid "from" date.' };
+        conditions.push(`${list.dateColumn} >= ?`);
+        params.push(from);
+    }
+    if (query.to) {
+        const to = parseDateBound(query.to, true);
+        if (!to) return { error: 'Invalid "to" date.' };
+        conditions.push(`${list.dateColumn} < ?`);
+        params.push(to);
+    }
+    if (query.search && String(query.search).trim()) {
+        const term = `%${String(query.search).trim().replace(/[\\%_]/g, c => '\\' + c)}%`;
+        conditions.push(`(${list.searchColumns.map(col => `${col} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+        params.push(...list.searchColumns.map(() => term));
+    }
+    const sortKey = query.sort || list.defaultSort;
+    if (!list.sortColumns[sortKey]) return { error: `Invalid sort. Must be one of: ${Object.keys(list.sortColumns).join(', ')}.` };
+    const order = String(query.order || 'desc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') return { error: 'Invalid order. Must be asc or desc.' };
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        orderBy: `ORDER BY ${list.sortColumns[sortKey]} ${order.toUpperCase()}, ${list.tieBreaker} ${order.toUpperCase()}`,
+    };
+};
+
+// Runs a list definition against the request query and returns one page plus the total count.
+const fetchListPage = async (query, list) => {
+    const filters = buildListFilters(query, list);
+    if (filters.error) return filters;
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+    const { total } = await dbGet(`SELECT COUNT(*) as total FROM ${list.from} ${filters.where}`, filters.params);
+    const data = await dbAll(`SELECT ${list.select} FROM ${list.from} ${filters.where} ${filters.orderBy} LIMIT ? OFFSET ?`, [...filters.params, limit, (page - 1) * limit]);
+    return { data, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+const SHIPMENT_LIST = {
+    select: 's.*, (SELECT n.deliveryNoteNumber FROM delivery_notes n WHERE n.shipment_id = s.id) as deliveryNoteNumber',
+    from: 'shipments s',
+    dateColumn: 's.createdAt',
+    searchColumns: ['s.trackingNumber', 's.senderName', 's.senderContact', 's.senderAddress', 's.recipientName', 's.recipientContact', 's.recipientAddress'],
+    filters: { status: matchAny('s.status'), jobNo: matchAny('s.associatedJobNo'), ceNumber: matchAny('s.ceNumber') },
+    sortColumns: { createdAt: 's.createdAt', trackingNumber: 's.id', status: 's.status', recipientName: 's.recipientName', senderName: 's.senderName', courier_charge: 's.courier_charge' },
+    defaultSort: 'createdAt',
+    tieBreaker: 's.id',
+};
+
+const DELIVERY_NOTE_LIST = {
+    select: 'n.*, (SELECT s.trackingNumber FROM shipments s WHERE s.id = n.shipment_id) as trackingNumber',
+    from: 'delivery_notes n',
+    dateColumn: 'n.createdAt',
+    searchColumns: ['n.deliveryNoteNumber', 'n.clientName', 'n.address', 'n.contactPerson'],
+    filters: { jobNo: matchAny('n.jobNo'), ceNumber: matchAny('n.ceNumber') },
+    sortColumns: { createdAt: 'n.createdAt', date: 'n.date', deliveryNoteNumber: 'n.id', clientName: 'n.clientName', total: 'n.total' },
+    defaultSort: 'createdAt',
+    tieBreaker: 'n.id',
+};
+
+const CE_NUMBERS_SUBQUERY = '(SELECT GROUP_CONCAT(ce.ce_number) FROM job_ce_numbers ce WHERE ce.job_id = j.id)';
+const CHASE_JOB_LIST = {
+    select: `j.*, ${CE_NUMBERS_SUBQUERY} as ceNumbers`,
+    from: 'chaseJobs j',
+    dateColumn: 'j.createdAt',
+    searchColumns: ['j.jobNo', 'j.customerName', 'j.productName', 'j.accountExecutive', 'j.description', CE_NUMBERS_SUBQUERY],
+    filters: {
+        status: matchAny('j.status'),
+        source: matchAny('j.source'),
+        jobNo: matchAny('j.jobNo'),
+        ceNumber: (values) => ({ sql: `EXISTS (SELECT 1 FROM job_ce_numbers ce WHERE ce.job_id = j.id AND ce.ce_number IN (${values.map(() => '?').join(', ')}))`, params: values }),
+    },
+    sortColumns: { createdAt: 'j.createdAt', jobNo: 'j.jobNo', customerName: 'j.customerName', accountExecutive: 'j.accountExecutive' },
+    defaultSort: 'createdAt',
+    tieBreaker: 'j.id',
+};
+
+// The customer a shipment is billed to: the Chase customer of its job number, or the sender when there is none.
+const SHIPMENT_CUSTOMER_SQL = `COALESCE((SELECT cj.customerName FROM chaseJobs cj WHERE cj.jobNo = s.associatedJobNo AND TRIM(COALESCE(cj.customerName, '')) != '' ORDER BY cj.id LIMIT 1), s.senderName)`;
+
+
+// --- CSV Output ---
+// Text that a spreadsheet would run as a formula is prefixed with a quote.
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(toCsvValue).join(',') + '\r\n';
+
+// columns is a list of row keys, used as the header row. The BOM lets Excel detect UTF-8.
+const CSV_BOM = '\ufeff';
+const toCsv = (rows, columns) => CSV_BOM + toCsvLine(columns) + rows.map(row => toCsvLine(columns.map(column => row[column]))).join('');
+
+const sendCsv = (res, filename, rows, columns) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(toCsv(rows, columns));
+};
+
+
+// --- CSV Input ---
+// Parses RFC 4180 style CSV (quoted fields, doubled quotes, line breaks inside quotes) into rows of strings.
+// Each row records the line it started on, so errors can point at the spreadsheet row.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const source = String(text || '').replace(/^\ufeff/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else { if (char === '\n') line++; field += char; }
+        } else if (char === '"') inQuotes = true;
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            rowLine = ++line;
+        } else field += char;
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+    return rows.filter(r => r.values.some(value => value.trim() !== ''));
+};
+
+
+// --- Rate Limiting ---
+// Simple fixed-window limiter kept in memory, keyed by client IP.
+const createRateLimiter = ({ windowMs, max, message }) => {
+    const hits = new Map();
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) if (entry.resetAt <= now) hits.delete(key);
+    }, windowMs).unref();
+    return (req, res, next) => {
+        const now = Date.now();
+        const key = req.ip;
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+        if (entry.count > max) {
+            res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return res.status(429).json({ message });
+        }
+        next();
+    };
+};
+
+// --- Public Tracking ---
+const trackingLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30, message: 'Too many tracking requests. Please try again later.' });
+
+// Best guess at the town from a free-text address: the last part that is not just a postal code.
+const extractTown = (address) => {
+    const parts = String(address || '').split(/[,\n\r]+/).map(part => part.trim()).filter(part => part && !/^\d+$/.test(part));
+    return parts.length > 0 ? parts[parts.length - 1] : null;
+};
+
+// Only what a client needs to follow a parcel: no contacts, charges, job data, notes or staff names.
+const getPublicTracking = async (trackingNumber) => {
+    const shipment = await dbGet('SELECT id, trackingNumber, status, recipientAddress, createdAt FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+    if (!shipment) return null;
+    const events = await dbAll('SELECT status, location, createdAt FROM shipment_status_events WHERE shipment_id = ? ORDER BY createdAt ASC, id ASC', [shipment.id]);
+    return {
+        trackingNumber: shipment.trackingNumber,
+        status: shipment.status,
+        recipientTown: extractTown(shipment.recipientAddress),
+        createdAt: shipment.createdAt,
+        events,
+    };
+};
+
+
+// --- Email Notifications ---
+// Shipment events queue one email each to the recipient contact and to the job's account executive in
+// notification_outbox, in the same transaction as the change. A worker sends them with retries; every row,
+// including the ones skipped for want of an address, is the shipment's notification log.
+const NOTIFICATION_EVENTS = {
+    created: { label: 'Shipment created', attachment: 'waybill' },
+    'out-for-delivery': { label: 'Out for delivery', attachment: 'waybill' },
+    delivered: { label: 'Delivered', attachment: 'pod' },
+    delayed: { label: 'Delayed', attachment: 'waybill' },
+};
+const NOTIFICATION_EVENT_FOR_STATUS = { 'Out for Delivery': 'out-for-delivery', 'Delivered': 'delivered', 'Delayed': 'delayed' };
+const NOTIFICATION_PLACEHOLDERS = ['trackingNumber', 'status', 'recipientName', 'recipientAddress', 'senderName', 'jobNo', 'ceNumber', 'customerName', 'accountExecutive', 'trackingUrl'];
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+    created: {
+        subject: 'Shipment {{trackingNumber}} has been booked',
+        body: 'Hello,\n\nShipment {{trackingNumber}} for {{recipientName}} has been booked (job {{jobNo}}). The waybill is attached.\n\nTrack it at {{trackingUrl}}',
+    },
+    'out-for-delivery': {
+        subject: 'Shipment {{trackingNumber}} is out for delivery',
+        body: 'Hello,\n\nShipment {{trackingNumber}} is out for delivery to {{recipientName}}, {{recipientAddress}}.\n\nTrack it at {{trackingUrl}}',
+    },
+    delivered: {
+        subject: 'Shipment {{trackingNumber}} has been delivered',
+        body: 'Hello,\n\nShipment {{trackingNumber}} has been delivered to {{recipientName}}. The proof of delivery is attached.\n\nTrack it at {{trackingUrl}}',
+    },
+    delayed: {
+        subject: 'Shipment {{trackingNumber}} is delayed',
+        body: 'Hello,\n\nShipment {{trackingNumber}} to {{recipientName}} has been delayed. We will let you know when it is on its way again.\n\nTrack it at {{trackingUrl}}',
+    },
+};
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+const NOTIFICATION_RETRY_BASE_MS = 60 * 1000; // doubled after every failed attempt
+const NOTIFICATION_POLL_MS = 30 * 1000;
+const NOTIFICATION_BATCH_SIZE = 20;
+const EMAIL_PATTERN = /[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/i;
+
+// Placeholders without a value become empty; unknown ones are left as typed so mistakes show up in the email.
+const renderNotificationTemplate = (text, values) => text.replace(/\{\{(\w+)\}\}/g, (match, name) => (NOTIFICATION_PLACEHOLDERS.includes(name) ? String(values[name] ?? '') : match));
+
+const getNotificationTemplates = async () => {
+    const rows = await dbAll('SELECT event, subject, body FROM notification_templates');
+    const templates = {};
+    for (const event of Object.keys(NOTIFICATION_EVENTS)) {
+        const row = rows.find(r => r.event === event);
+        templates[event] = row ? { subject: row.subject, body: row.body, isDefault: false } : { ...DEFAULT_NOTIFICATION_TEMPLATES[event], isDefault: true };
+    }
+    return templates;
+};
+
+const areNotificationsEnabled = async () => {
+    const row = await dbGet("SELECT value FROM settings WHERE key = 'notificationsEnabled'");
+    return !!row && row.value === 'true';
+};
+
+// Transports take { from, to, subject, text, attachments } and resolve once the message is accepted.
+// MAIL_TRANSPORT chooses one ('smtp' when SMTP_HOST is set); 'log' only prints, for trying things out locally.
+const MAIL_TRANSPORTS = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+        return { name: 'smtp', send: (message) => transporter.sendMail(message) };
+    },
+    log: () => ({
+        name: 'log',
+        send: async (message) => console.log(`[mail] To: ${message.to} | ${message.subject} | ${message.attachments.map(a => a.filename).join(', ') || 'no attachments'}`),
+    }),
+};
+const MAIL_FROM = process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost';
+let mailTransport;
+const getMailTransport = () => {
+    if (mailTransport === undefined) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+        if (name && !MAIL_TRANSPORTS[name]) console.error(`Unknown MAIL_TRANSPORT "${name}". Must be one of: ${Object.keys(MAIL_TRANSPORTS).join(', ')}.`);
+        mailTransport = name && MAIL_TRANSPORTS[name] ? MAIL_TRANSPORTS[name]() : null;
+    }
+    return mailTransport;
+};
+
+// Call inside the withTransaction that makes the change, then wakeNotificationWorker() once it has committed.
+// Never throws: a notification problem must not undo the shipment change.
+const queueShipmentNotifications = async (shipmentId, event, baseUrl) => {
+    try {
+        if (!NOTIFICATION_EVENTS[event] || !(await areNotificationsEnabled())) return;
+        const shipment = await dbGet('SELECT * FROM shipments WHERE id = ?', [shipmentId]);
+        if (!shipment) return;
+        const job = shipment.associatedJobNo ? await dbGet("SELECT customerName, accountExecutive FROM chaseJobs WHERE jobNo = ? AND TRIM(COALESCE(accountExecutive, '')) NOT IN ('', 'N/A') ORDER BY id LIMIT 1", [shipment.associatedJobNo]) : null;
+        const template = (await getNotificationTemplates())[event];
+        const values = {
+            ...shipment,
+            jobNo: shipment.associatedJobNo,
+            customerName: job ? job.customerName : shipment.senderName,
+            accountExecutive: job ? job.accountExecutive : null,
+            trackingUrl: getPublicTrackingUrl(baseUrl, shipment.trackingNumber),
+        };
+        const subject = renderNotificationTemplate(template.subject, values);
+        const body = renderNotificationTemplate(template.body, values);
+
+        const recipients = [{ recipientType: 'recipient', match: EMAIL_PATTERN.exec(shipment.recipientContact || ''), missing: 'No email address in the recipient contact.' }];
+        if (job) {
+            const contact = await dbGet('SELECT email FROM account_executives WHERE name = ? COLLATE NOCASE', [job.accountExecutive.trim()]);
+            recipients.push({ recipientType: 'ae', match: EMAIL_PATTERN.exec(contact ? contact.email : job.accountExecutive), missing: `No email address for account executive ${job.accountExecutive}.` });
+        }
+        const now = new Date().toISOString();
+        for (const { recipientType, match, missing } of recipients) {
+            await dbRun(`INSERT INTO notification_outbox (shipment_id, event, recipientType, toAddress, subject, body, attachment, baseUrl, status, attempts, lastError, nextAttemptAt, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)`,
+                [shipmentId, event, recipientType, match ? match[0] : null, subject, body, NOTIFICATION_EVENTS[event].attachment, baseUrl, match ? 'pending' : 'skipped', match ? null : missing, now, now]);
+        }
+    } catch (error) {
+        console.error(`Could not queue ${event} notifications for shipment ${shipmentId}:`, error.message);
+    }
+};
+
+const queueStatusNotifications = (shipmentId, status, baseUrl) => (NOTIFICATION_EVENT_FOR_STATUS[status] ? queueShipmentNotifications(shipmentId, NOTIFICATION_EVENT_FOR_STATUS[status], baseUrl) : null);
+
+// The POD goes with Delivered when one was captured; otherwise, and for every other event, the waybill.
+const buildNotificationAttachment = async (notification) => {
+    const shipment = await dbGet('SELECT * FROM shipments WHERE id = ?', [notification.shipment_id]);
+    const pod = notification.attachment === 'pod' ? await dbGet('SELECT * FROM proof_of_delivery WHERE shipment_id = ?', [shipment.id]) : null;
+    if (pod) return { filename: `POD-${shipment.trackingNumber}.pdf`, content: Buffer.from(await renderPodPdf(shipment, pod)), contentType: 'application/pdf' };
+    return { filename: `waybill-${shipment.trackingNumber}.pdf`, content: Buffer.from(await renderWaybillPdf(shipment, notification.baseUrl)), contentType: 'application/pdf' };
+};
+
+const deliverNotification = async (transport, notification) => {
+    const attempts = notification.attempts + 1;
+    try {
+        const attachments = notification.attachment ? [await buildNotificationAttachment(notification)] : [];
+        await transport.send({ from: MAIL_FROM, to: notification.toAddress, subject: notification.subject, text: notification.body, attachments });
+        await dbRun("UPDATE notification_outbox SET status = 'sent', attempts = ?, lastError = NULL, transport = ?, sentAt = ? WHERE id = ?", [attempts, transport.name, new Date().toISOString(), notification.id]);
+    } catch (error) {
+        const finalAttempt = attempts >= NOTIFICATION_MAX_ATTEMPTS;
+        const nextAttemptAt = new Date(Date.now() + NOTIFICATION_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+        console.error(`Notification ${notification.id} to ${notification.toAddress} failed (attempt ${attempts}):`, error.message);
+        await dbRun('UPDATE notification_outbox SET status = ?, attempts = ?, lastError = ?, transport = ?, nextAttemptAt = ? WHERE id = ?',
+            [finalAttempt ? 'failed' : 'pending', attempts, error.message, transport.name, nextAttemptAt, notification.id]);
+    }
+};
+
+let notificationWorkerBusy = false;
+let notificationWorkerWoken = false;
+let notificationTimer = null;
+// Sends everything that is due. Without a transport the messages wait in the outbox until one is configured.
+// A wake-up during a run (new messages queued meanwhile) makes it go round once more.
+const processNotificationOutbox = async () => {
+    const transport = getMailTransport();
+    if (!transport) return;
+    if (notificationWorkerBusy) {
+        notificationWorkerWoken = true;
+        return;
+    }
+    notificationWorkerBusy = true;
+    try {
+        for (;;) {
+            notificationWorkerWoken = false;
+            // Read between transactions, so a message queued by one that is then rolled back is never sent.
+            const due = await runExclusive(() => dbAll("SELECT * FROM notification_outbox WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY id LIMIT ?", [new Date().toISOString(), NOTIFICATION_BATCH_SIZE]));
+            for (const notification of due) await deliverNotification(transport, notification);
+            if (due.length < NOTIFICATION_BATCH_SIZE && !notificationWorkerWoken) break;
+        }
+    } catch (error) {
+        console.error('Error processing the notification outbox:', error.message);
+    } finally {
+        notificationWorkerBusy = false;
+    }
+};
+
+const startNotificationWorker = () => {
+    clearTimeout(notificationTimer);
+    const tick = async () => {
+        await processNotificationOutbox();
+        notificationTimer = setTimeout(tick, NOTIFICATION_POLL_MS);
+    };
+    tick();
+};
+
+const wakeNotificationWorker = () => { processNotificationOutbox(); };
+
+
+// --- API Router ---
+const apiRouter = express.Router();
+
+// --- Public Routes (no login) ---
+apiRouter.get('/track/:trackingNumber', trackingLimiter, async (req, res) => {
+    try {
+        const tracking = await getPublicTracking(req.params.trackingNumber.trim().toUpperCase());
+        if (!tracking) return res.status(404).json({ message: 'No shipment found with that tracking number.' });
+        res.status(200).json(tracking);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching tracking information.' });
+    }
+});
+
+// --- Auth Routes ---
+apiRouter.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (!username || !password) return res.status(400).json({ message: 'Username and password are required.' });
+        const user = await dbGet('SELECT * FROM users WHERE username = ?', [username]);
+        const isValid = await bcrypt.compare(password, user ? user.password : await DUMMY_PASSWORD_HASH);
+        // Unknown and locked accounts get the same answer as a wrong password, so logins reveal nothing about which usernames exist.
+        if (!user || (user.lockedUntil && new Date(user.lockedUntil) > new Date())) return res.status(401).json({ message: 'Invalid credentials.' });
+        if (!isValid) {
+            const attempts = user.failedLoginAttempts + 1;
+            const lockedUntil = attempts >= MAX_FAILED_LOGINS ? new Date(Date.now() + LOCKOUT_MS).toISOString() : null;
+            await dbRun('UPDATE users SET failedLoginAttempts = ?, lockedUntil = ? WHERE id = ?', [lockedUntil ? 0 : attempts, lockedUntil, user.id]);
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+        if (user.disabled) return res.status(403).json({ message: 'This account has been disabled.' });
+        await dbRun('UPDATE users SET failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ?', [user.id]);
+        const token = await createSession(user.id);
+        res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge: SESSION_TTL_MS, path: '/' });
+        res.status(200).json({ message: 'Login successful!', token, user: { username: user.username, role: user.role, mustChangePassword: !!user.mustChangePassword } });
+    } catch (error) {
+        console.error("Login error:", error.message);
+        res.status(500).json({ message: 'Error logging in.' });
+    }
+});
+
+// Everything registered below this point requires a valid session.
+apiRouter.use(authenticate);
+apiRouter.use(requirePasswordChanged);
+
+apiRouter.post('/logout', async (req, res) => {
+    try {
+        await dbRun('DELETE FROM sessions WHERE token = ?', [hashToken(req.sessionToken)]);
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error logging out.' });
+    }
+});
+
+apiRouter.get('/me', (req, res) => {
+    res.status(200).json({ username: req.user.username, role: req.user.role, mustChangePassword: req.user.mustChangePassword });
+});
+
+apiRouter.post('/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) return res.status(400).json({ message: 'Current and new password are required.' });
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+    try {
+        const user = await dbGet('SELECT password FROM users WHERE id = ?', [req.user.id]);
+        if (!await bcrypt.compare(currentPassword, user.password)) return res.status(400).json({ message: 'Current password is incorrect.' });
+        if (await bcrypt.compare(newPassword, user.password)) return res.status(400).json({ message: 'New password must be different from the current one.' });
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await dbRun('UPDATE users SET password = ?, mustChangePassword = 0 WHERE id = ?', [hashedPassword, req.user.id]);
+        // Sign out every other session of this user.
+        await dbRun('DELETE FROM sessions WHERE user_id = ? AND token != ?', [req.user.id, hashToken(req.sessionToken)]);
+        res.status(200).json({ message: 'Password changed successfully!' });
+    } catch (error) {
+        console.error('Error changing password:', error.message);
+        res.status(500).json({ message: 'Error changing password.' });
+    }
+});
+
+// Session routes above are open to every role; the rest are read-only for 'read-only' users.
+apiRouter.use(restrictReadOnly);
+
+// --- User Administration (admin only) ---
+apiRouter.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const users = await dbAll('SELECT id, username, role, disabled, mustChangePassword, failedLoginAttempts, lockedUntil, createdAt FROM users ORDER BY username');
+        res.status(200).json(users);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching users.' });
+    }
+});
+
+apiRouter.post('/users', requireRole('admin'), async (req, res) => {
+    const { username, password, role = 'read-only' } = req.body;
+    if (!username || !password) return res.status(400).json({ message: 'Username and password are required.' });
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+    try {
+        const row = await dbGet('SELECT * FROM users WHERE username = ?', [username]);
+        if (row) return res.status(400).json({ message: 'Username already exists.' });
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // The admin chose this password, so the user has to replace it on first login.
+        const result = await dbRun('INSERT INTO users (username, password, role, mustChangePassword, createdAt) VALUES (?, ?, ?, 1, ?)', [username, hashedPassword, role, new Date().toISOString()]);
+        res.status(201).json({ message: 'User created successfully!', id: result.lastID });
+    } catch (error) {
+        res.status(500).json({ message: 'Error creating user.' });
+    }
+});
+
+apiRouter.patch('/users/:id', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { role, disabled } = req.body;
+    if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    if (String(req.user.id) === String(id) && (disabled || (role && role !== 'admin'))) {
+        return res.status(400).json({ message: 'You cannot disable or demote your own account.' });
+    }
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [id]);
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+        const newRole = role !== undefined ? role : user.role;
+        const newDisabled = disabled !== undefined ? (disabled ? 1 : 0) : user.disabled;
+        await dbRun('UPDATE users SET role = ?, disabled = ? WHERE id = ?', [newRole, newDisabled, id]);
+        if (newDisabled) await dbRun('DELETE FROM sessions WHERE user_id = ?', [id]);
+        res.status(200).json({ message: 'User updated successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating user.' });
+    }
+});
+
+apiRouter.post('/users/:id/reset-password', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { newPassword } = req.body;
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+    try {
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const result = await dbRun('UPDATE users SET password = ?, mustChangePassword = 1, failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ?', [hashedPassword, id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'User not found.' });
+        await dbRun('DELETE FROM sessions WHERE user_id = ?', [id]);
+        res.status(200).json({ message: 'Password reset. The user must choose a new password at next login.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error resetting password.' });
+    }
+});
+
+// --- Data Fetching Route ---
+apiRouter.get('/all-data', async (req, res) => {
+    try {
+        // Lists come back as their first page; the UI requests further pages as needed.
+        const shipments = await fetchListPage({}, SHIPMENT_LIST);
+        const addresses = await dbAll('SELECT * FROM addresses');
+        const elements = await dbAll('SELECT * FROM elements');
+        const chaseJobs = await fetchListPage({}, CHASE_JOB_LIST);
+        const deliveryNotes = await fetchListPage({}, DELIVERY_NOTE_LIST);
+        const shipmentStats = await getShipmentStats();
+        res.status(200).json({ shipments, addresses, elements, chaseJobs, deliveryNotes, shipmentStats });
+    } catch (error) {
+        console.error("Error fetching all data:", error.message);
+        res.status(500).json({ message: 'Error fetching initial data.' });
+    }
+});
+
+// --- Individual GET Routes ---
+// Counts per status for the dashboard cards, so the UI no longer needs every shipment.
+const getShipmentStats = async () => {
+    const rows = await dbAll('SELECT status, COUNT(*) as count FROM shipments GROUP BY status');
+    const byStatus = rows.reduce((acc, row) => ({ ...acc, [row.status]: row.count }), {});
+    return { total: rows.reduce((sum, row) => sum + row.count, 0), byStatus };
+};
+
+apiRouter.get('/shipments/stats', async (req, res) => {
+    try {
+        res.status(200).json(await getShipmentStats());
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching shipment stats.' });
+    }
+});
+
+apiRouter.get('/shipment-statuses', (req, res) => {
+    res.status(200).json({ statuses: SHIPMENT_STATUSES, initial: INITIAL_SHIPMENT_STATUS, transitions: STATUS_TRANSITIONS });
+});
+apiRouter.get('/shipments', async (req, res) => {
+    try {
+        const result = await fetchListPage(req.query, SHIPMENT_LIST);
+        if (result.error) return res.status(400).json({ message: result.error });
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching shipments.' });
+    }
+});
+apiRouter.get('/addresses', async (req, res) => {
+    try {
+        const addresses = await dbAll('SELECT * FROM addresses');
+        res.status(200).json(addresses);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching addresses.' });
+    }
+});
+apiRouter.get('/elements', async (req, res) => {
+    try {
+        const elements = await dbAll('SELECT * FROM elements');
+        res.status(200).json(elements);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching elements.' });
+    }
+});
+apiRouter.get('/chase-jobs', async (req, res) => {
+    try {
+        const result = await fetchListPage(req.query, CHASE_JOB_LIST);
+        if (result.error) return res.status(400).json({ message: result.error });
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching chase jobs.' });
+    }
+});
+
+// New endpoint to find a job by its CE number
+apiRouter.get('/chase-jobs/by-ce/:ceNumber', async (req, res) => {
+    try {
+        const { ceNumber } = req.params;
+        const job = await dbGet(`
+            SELECT j.* FROM chaseJobs j 
+            JOIN job_ce_numbers ce ON j.id = ce.job_id 
+            WHERE ce.ce_number = ?`, 
+            [ceNumber]
+        );
+        if (job) {
+            res.status(200).json(job);
+        } else {
+            res.status(404).json({ message: 'Job not found for this CE number.' });
+        }
+    } catch (error) {
+         res.status(500).json({ message: 'Error fetching job by CE number.' });
+    }
+});
+
+// Everything that has gone out for a job: shipments booked against its job number or one of its CE numbers,
+// the delivery notes for the job (directly or through those shipments) and what the shipments cost, excluding VAT.
+const getChaseJobDetail = async (id) => {
+    const job = await dbGet('SELECT * FROM chaseJobs WHERE id = ?', [id]);
+    if (!job) return null;
+    const ceRows = await dbAll('SELECT ce_number, source FROM job_ce_numbers WHERE job_id = ? ORDER BY ce_number', [id]);
+    const ceNumbers = ceRows.map(row => row.ce_number);
+    const ceMatch = (column) => (ceNumbers.length ? ` OR ${column} IN (${ceNumbers.map(() => '?').join(', ')})` : '');
+    const shipmentWhere = `s.associatedJobNo = ?${ceMatch('s.ceNumber')}`;
+    const shipmentParams = [job.jobNo, ...ceNumbers];
+    const shipments = await dbAll(`
+        SELECT s.id, s.trackingNumber, s.createdAt, s.associatedJobNo, s.ceNumber, s.recipientName, s.recipientAddress, s.serviceLevel, s.status, s.courier_charge
+        FROM shipments s WHERE ${shipmentWhere} ORDER BY s.createdAt, s.id`, shipmentParams);
+    const deliveryNotes = await dbAll(`
+        SELECT n.id, n.deliveryNoteNumber, n.date, n.clientName, n.jobNo, n.ceNumber, n.total, n.createdAt, s.trackingNumber
+        FROM delivery_notes n LEFT JOIN shipments s ON s.id = n.shipment_id
+        WHERE n.jobNo = ?${ceMatch('n.ceNumber')} OR n.shipment_id IN (SELECT s.id FROM shipments s WHERE ${shipmentWhere})
+        ORDER BY n.createdAt, n.id`, [...shipmentParams, ...shipmentParams]);
+    const money = await getMoneySettings();
+    const priced = shipments.filter(shipment => shipment.courier_charge !== null);
+    return {
+        ...job,
+        ceNumbers,
+        // Only these can be detached; the others come from Chase
+        manualCeNumbers: ceRows.filter(row => row.source === 'manual').map(row => row.ce_number),
+        allowedStatuses: JOB_STATUS_TRANSITIONS[job.status] || JOB_STATUSES,
+        statusHistory: await dbAll('SELECT fromStatus, status, note, username, createdAt FROM job_status_events WHERE job_id = ? ORDER BY createdAt, id', [id]),
+        shipments,
+        deliveryNotes,
+        spend: {
+            shipments: shipments.length,
+            unpriced: shipments.length - priced.length,
+            total: roundMoney(priced.reduce((sum, shipment) => sum + shipment.courier_charge, 0), money),
+        },
+    };
+};
+
+apiRouter.get('/chase-jobs/:id', async (req, res) => {
+    try {
+        const job = /^\d+$/.test(req.params.id) ? await getChaseJobDetail(Number(req.params.id)) : null;
+        if (!job) return res.status(404).json({ message: 'Job not found.' });
+        res.status(200).json(job);
+    } catch (error) {
+        console.error('Error fetching job detail:', error.message);
+        res.status(500).json({ message: 'Error fetching job.' });
+    }
+});
+
+apiRouter.get('/delivery-notes', async (req, res) => {
+    try {
+        const result = await fetchListPage(req.query, DELIVERY_NOTE_LIST);
+        if (result.error) return res.status(400).json({ message: result.error });
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching delivery notes.' });
+    }
+});
+
+
+// --- Search ---
+const SEARCH_RESULT_FIELDS = {
+    shipments: 'src.id, src.trackingNumber, src.recipientName, src.recipientAddress, src.senderName, src.associatedJobNo, src.ceNumber, src.status, src.createdAt',
+    chaseJobs: `src.id, src.jobNo, src.customerName, src.accountExecutive, src.description, (SELECT GROUP_CONCAT(ce.ce_number) FROM job_ce_numbers ce WHERE ce.job_id = src.id) as ceNumbers`,
+    deliveryNotes: 'src.id, src.deliveryNoteNumber, src.clientName, src.address, src.jobNo, src.ceNumber, src.date, src.total',
+    addresses: 'src.id, src.name, src.contactPerson, src.phone, src.address',
+};
+
+// Turns free text into an FTS5 query: every word must match, as a prefix, anywhere in the record.
+const toFtsQuery = (text) => {
+    const terms = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.map(term => `"${term}"*`).join(' ');
+};
+
+apiRouter.get('/search', async (req, res) => {
+    const q = (req.query.q || '').trim();
+    if (q.length < 2) return res.status(400).json({ message: 'Search query must be at least 2 characters.' });
+    const ftsQuery = toFtsQuery(q);
+    if (!ftsQuery) return res.status(400).json({ message: 'Search query must contain letters or numbers.' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    try {
+        const results = {};
+        for (const [name, index] of Object.entries(SEARCH_INDEXES)) {
+            const ftsTable = `fts_${name}`;
+            const { total } = await dbGet(`SELECT COUNT(*) as total FROM ${ftsTable} WHERE ${ftsTable} MATCH ?`, [ftsQuery]);
+            const hits = total === 0 ? [] : await dbAll(`
+                SELECT ${SEARCH_RESULT_FIELDS[name]}, bm25(${ftsTable}) as rank, snippet(${ftsTable}, -1, '[', ']', '...', 12) as snippet
+                FROM ${ftsTable} JOIN ${index.table} src ON src.id = ${ftsTable}.rowid
+                WHERE ${ftsTable} MATCH ?
+                ORDER BY rank
+                LIMIT ?`, [ftsQuery, limit]);
+            results[name] = { total, hits };
+        }
+        res.status(200).json({ query: q, results });
+    } catch (error) {
+        console.error('Search error:', error.message);
+        res.status(500).json({ message: 'Error searching.' });
+    }
+});
+
+
+// --- Quotes & Rate Card ---
+apiRouter.post('/quotes', async (req, res) => {
+    try {
+        const { quote, error } = await quoteShipment(req.body);
+        if (error) return res.status(400).json({ message: error });
+        res.status(200).json(quote);
+    } catch (error) {
+        console.error('Error calculating quote:', error.message);
+        res.status(500).json({ message: 'Error calculating quote.' });
+    }
+});
+
+apiRouter.get('/rates', async (req, res) => {
+    try {
+        res.status(200).json({ ...(await getRateCard()), surchargeTypes: SURCHARGE_TYPES });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching rate card.' });
+    }
+});
+
+// The whole rate card is replaced at once, in the same shape GET /rates returns (tiers name their zones).
+apiRouter.put('/rates', requireRole('admin'), async (req, res) => {
+    const validationError = validateRateCard(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const { volumetricDivisor, zones, serviceLevels, tiers, surcharges } = req.body;
+    try {
+        await withTransaction(async () => {
+            await dbRun('DELETE FROM rate_tiers');
+            await dbRun('DELETE FROM rate_zones');
+            await dbRun('DELETE FROM service_levels');
+            await dbRun('DELETE FROM surcharges');
+            const zoneIds = {};
+            for (const zone of zones) {
+                const result = await dbRun('INSERT INTO rate_zones (name, postalCodes, suburbs) VALUES (?, ?, ?)', [zone.name.trim(), splitList(zone.postalCodes).join(', '), splitList(zone.suburbs).join(', ')]);
+                zoneIds[zone.name.trim().toLowerCase()] = result.lastID;
+            }
+            for (const [index, level] of serviceLevels.entries()) {
+                await dbRun('INSERT INTO service_levels (code, name, sortOrder) VALUES (?, ?, ?)', [level.code, level.name.trim(), index + 1]);
+            }
+            for (const tier of tiers) {
+                const excessPerKg = tier.excessPerKg === undefined || tier.excessPerKg === null || tier.excessPerKg === '' ? null : Number(tier.excessPerKg);
+                await dbRun('INSERT INTO rate_tiers (origin_zone_id, destination_zone_id, serviceLevel, maxWeightKg, charge, excessPerKg) VALUES (?, ?, ?, ?, ?, ?)', [zoneIds[tier.origin.trim().toLowerCase()], zoneIds[tier.destination.trim().toLowerCase()], tier.serviceLevel, Number(tier.maxWeightKg), Number(tier.charge), excessPerKg]);
+            }
+            for (const surcharge of surcharges) {
+                await dbRun('INSERT INTO surcharges (code, name, type, amount, automatic) VALUES (?, ?, ?, ?, ?)', [surcharge.code, surcharge.name.trim(), surcharge.type, Number(surcharge.amount), surcharge.automatic ? 1 : 0]);
+            }
+            if (volumetricDivisor !== undefined) {
+                await dbRun("INSERT OR REPLACE INTO settings (key, value) VALUES ('volumetricDivisor', ?)", [String(Number(volumetricDivisor))]);
+            }
+        });
+        res.status(200).json({ message: 'Rate card saved successfully!' });
+    } catch (error) {
+        console.error('Error saving rate card:', error.message);
+        res.status(500).json({ message: 'Error saving rate card.' });
+    }
+});
+
+// --- Shipments CRUD ---
+// With a serviceLevel the charge comes from the rate card and the breakdown is kept with the shipment;
+// without one, courier_charge is taken as typed.
+const priceShipment = async (body) => {
+    if (!body.serviceLevel) return { charge: parseFloat(body.courier_charge) || null, serviceLevel: null, breakdown: null };
+    const { quote, error } = await quoteShipment(body);
+    if (error) return { error };
+    return { charge: quote.total, serviceLevel: quote.serviceLevel, breakdown: JSON.stringify(quote) };
+};
+
+const insertShipmentElement = (shipmentId, element) => {
+    return dbRun('INSERT INTO shipment_elements (shipment_id, description, quantity, weightKg, lengthCm, widthCm, heightCm) VALUES (?, ?, ?, ?, ?, ?, ?)', [shipmentId, element.description, element.quantity, ...getElementMeasures(element)]);
+};
+
+apiRouter.post('/shipments', async (req, res) => {
+    const { 
+        senderName, senderContact, senderAddress, 
+        recipientName, recipientContact, recipientAddress, 
+        associatedJobNo, ceNumber, elements
+    } = req.body;
+
+    if (!senderName || !senderAddress || !recipientName || !recipientAddress) {
+        return res.status(400).json({ message: 'Missing required sender/recipient fields.' });
+    }
+    const measuresError = validateElementMeasures(elements);
+    if (measuresError) return res.status(400).json({ message: measuresError });
+
+    // Priced before the transaction opens, so a pricing failure has nothing to roll back.
+    let pricing;
+    try {
+        pricing = await priceShipment(req.body);
+    } catch (error) {
+        console.error('Error pricing shipment:', error.message);
+        return res.status(500).json({ message: 'Error pricing shipment.' });
+    }
+    if (pricing.error) return res.status(400).json({ message: pricing.error });
+
+    try {
+        const baseUrl = await getPublicBaseUrl();
+        const trackingNumber = await withTransaction(async () => {
+            const counter = await dbGet("SELECT currentNumber FROM counters WHERE name = 'shipmentCounter'");
+            const newCount = (counter ? counter.currentNumber : 1000) + 1;
+            const trackingNumber = `T${newCount}`;
+
+            const shipmentCols = [
+                senderName, senderContact || null, senderAddress, 
+                recipientName, recipientContact || null, recipientAddress, 
+                associatedJobNo || null, ceNumber || null, 
+                trackingNumber, new Date().toISOString(), INITIAL_SHIPMENT_STATUS,
+                pricing.charge, pricing.serviceLevel, pricing.breakdown
+            ];
+        
+            const shipmentResult = await dbRun(`
+                INSERT INTO shipments (
+                    senderName, senderContact, senderAddress, 
+                    recipientName, recipientContact, recipientAddress, 
+                    associatedJobNo, ceNumber, trackingNumber, createdAt, status,
+                    courier_charge, serviceLevel, quoteBreakdown
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, shipmentCols);
+            const shipmentId = shipmentResult.lastID;
+            await recordStatusEvent(shipmentId, INITIAL_SHIPMENT_STATUS, { note: 'Shipment created', username: req.user.username });
+
+            if (elements && Array.isArray(elements) && elements.length > 0) {
+                for (const element of elements) {
+                    if (element.description && element.quantity) {
+                        await insertShipmentElement(shipmentId, element);
+                    }
+                }
+            }
+        
+            await dbRun("UPDATE counters SET currentNumber = ? WHERE name = 'shipmentCounter'", [newCount]);
+            await queueShipmentNotifications(shipmentId, 'created', baseUrl);
+            return trackingNumber;
+        });
+        wakeNotificationWorker();
+        res.status(201).json({ message: 'Shipment created successfully!', trackingNumber, courier_charge: pricing.charge, quote: pricing.breakdown ? JSON.parse(pricing.breakdown) : null });
+    } catch (error) {
+        console.error("Error creating shipment:", error);
+        res.status(500).json({ message: 'Error creating shipment record.', error: error.message });
+    }
+});
+
+apiRouter.get('/shipments/:trackingNumber', async (req, res) => {
+    const { trackingNumber } = req.params;
+    try {
+        const shipment = await dbGet('SELECT * FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+        if (!shipment) return res.status(404).json({ message: 'Shipment not found.' });
+        const elements = await dbAll('SELECT * FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
+        shipment.elements = elements;
+        shipment.quoteBreakdown = shipment.quoteBreakdown ? JSON.parse(shipment.quoteBreakdown) : null;
+        shipment.deliveryNote = await dbGet('SELECT id, deliveryNoteNumber FROM delivery_notes WHERE shipment_id = ?', [shipment.id]) || null;
+        res.status(200).json(shipment);
+    } catch (error) {
+        res.status(500).json({ message: 'Database error fetching shipment details.' });
+    }
+});
+
+apiRouter.put('/shipments/:trackingNumber', async (req, res) => {
+    const { trackingNumber } = req.params;
+    const { 
+        senderName, senderContact, senderAddress, 
+        recipientName, recipientContact, recipientAddress, 
+        associatedJobNo, ceNumber, status, elements,
+        overrideReason
+    } = req.body;
+    const measuresError = validateElementMeasures(elements);
+    if (measuresError) return res.status(400).json({ message: measuresError });
+    let pricing;
+    try {
+        pricing = await priceShipment(req.body);
+    } catch (error) {
+        console.error('Error pricing shipment:', error.message);
+        return res.status(500).json({ message: 'Error pricing shipment.' });
+    }
+    if (pricing.error) return res.status(400).json({ message: pricing.error });
+
+    try {
+        const baseUrl = await getPublicBaseUrl();
+        const response = await withTransaction(async () => {
+            const shipment = await dbGet('SELECT id, status FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+            if (!shipment) return { status: 404, body: { message: 'Shipment not found.' } };
+            const newStatus = status || shipment.status;
+            const transitionError = checkStatusTransition(shipment.status, newStatus, overrideReason);
+            if (transitionError) return { status: 400, body: { message: transitionError, allowed: STATUS_TRANSITIONS[shipment.status] || SHIPMENT_STATUSES } };
+
+            const shipmentCols = [
+                senderName, senderContact, senderAddress, 
+                recipientName, recipientContact, recipientAddress, 
+                associatedJobNo, ceNumber || '', newStatus, 
+                pricing.charge, pricing.serviceLevel, pricing.breakdown,
+                trackingNumber
+            ];
+            await dbRun(`
+                UPDATE shipments SET 
+                senderName = ?, senderContact = ?, senderAddress = ?, 
+                recipientName = ?, recipientContact = ?, recipientAddress = ?, 
+                associatedJobNo = ?, ceNumber = ?, status = ?,
+                courier_charge = ?, serviceLevel = ?, quoteBreakdown = ?
+                WHERE trackingNumber = ?`, shipmentCols);
+            if (newStatus !== shipment.status) {
+                const note = isStandardTransition(shipment.status, newStatus) ? 'Changed while editing shipment' : `Override: ${overrideReason}`;
+                await recordStatusEvent(shipment.id, newStatus, { note, username: req.user.username });
+                await queueStatusNotifications(shipment.id, newStatus, baseUrl);
+            }
+        
+            await dbRun('DELETE FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
+            if (elements && elements.length > 0) {
+                for (const element of elements) {
+                    await insertShipmentElement(shipment.id, element);
+                }
+            }
+        
+            return { status: 200, body: { message: 'Shipment updated successfully!' } };
+        });
+        wakeNotificationWorker();
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        console.error("Error updating shipment:", error.message);
+        res.status(500).json({ message: 'Error updating shipment.' });
+    }
+});
+
+apiRouter.delete('/shipments/:trackingNumber', requireRole('admin'), async (req, res) => {
+    try {
         const { trackingNumber } = req.params;
         const result = await dbRun('DELETE FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
         if (result.changes === 0) return res.status(404).json({ message: 'Shipment not found.' });
@@ -408,20 +2232,275 @@ apiRouter.delete('/shipments/:trackingNumber', async (req, res) => {
 });
 
 apiRouter.patch('/shipments/:trackingNumber/status', async (req, res) => {
+    const { trackingNumber } = req.params;
+    const { status, note, location, overrideReason } = req.body;
+    if (!status) return res.status(400).json({ message: 'Status is required.' });
     try {
-        const { trackingNumber } = req.params;
-        const { status } = req.body;
-        if (!status) return res.status(400).json({ message: 'Status is required.' });
-        const result = await dbRun('UPDATE shipments SET status = ? WHERE trackingNumber = ?', [status, trackingNumber]);
-        if (result.changes === 0) return res.status(404).json({ message: 'Shipment not found.' });
-        res.status(200).json({ message: 'Shipment status updated.' });
+        const baseUrl = await getPublicBaseUrl();
+        const response = await withTransaction(async () => {
+            const shipment = await dbGet('SELECT id, status FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+            if (!shipment) return { status: 404, body: { message: 'Shipment not found.' } };
+            const transitionError = checkStatusTransition(shipment.status, status, overrideReason);
+            if (transitionError) return { status: 400, body: { message: transitionError, allowed: STATUS_TRANSITIONS[shipment.status] || SHIPMENT_STATUSES } };
+            const eventNote = isStandardTransition(shipment.status, status) ? note : [`Override: ${overrideReason}`, note].filter(Boolean).join(' - ');
+            await dbRun('UPDATE shipments SET status = ? WHERE id = ?', [status, shipment.id]);
+            await recordStatusEvent(shipment.id, status, { note: eventNote, location, username: req.user.username });
+            await queueStatusNotifications(shipment.id, status, baseUrl);
+            return { status: 200, body: { message: 'Shipment status updated.' } };
+        });
+        wakeNotificationWorker();
+        res.status(response.status).json(response.body);
     } catch (error) {
         res.status(500).json({ message: 'Error updating shipment status.' });
     }
 });
 
+apiRouter.get('/shipments/:trackingNumber/history', async (req, res) => {
+    const { trackingNumber } = req.params;
+    try {
+        const shipment = await dbGet('SELECT id FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+        if (!shipment) return res.status(404).json({ message: 'Shipment not found.' });
+        const events = await dbAll('SELECT id, status, note, location, username, createdAt FROM shipment_status_events WHERE shipment_id = ? ORDER BY createdAt ASC, id ASC', [shipment.id]);
+        res.status(200).json(events);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching shipment history.' });
+    }
+});
+
+// --- Scans ---
+// Accepts { trackingNumber | trackingNumbers, scanType, deviceId, location } or
+// { scans: [{ trackingNumber, scanType, location }], deviceId } for mixed scan types.
+// Every scan gets its own result, so one bad number does not hold up the rest of the batch.
+apiRouter.post('/scans', async (req, res) => {
+    const { trackingNumber, trackingNumbers, scans, scanType, deviceId, location } = req.body;
+    let entries;
+    if (Array.isArray(scans)) {
+        entries = scans.map(scan => (typeof scan === 'object' && scan !== null ? scan : { trackingNumber: scan }));
+    } else if (Array.isArray(trackingNumbers)) {
+        entries = trackingNumbers.map(n => ({ trackingNumber: n }));
+    } else if (trackingNumber) {
+        entries = [{ trackingNumber }];
+    } else {
+        return res.status(400).json({ message: 'Provide a trackingNumber, a list of trackingNumbers or a list of scans.' });
+    }
+    if (entries.length === 0) return res.status(400).json({ message: 'No scans provided.' });
+    if (entries.length > SCAN_BATCH_MAX) return res.status(400).json({ message: `A batch can hold at most ${SCAN_BATCH_MAX} scans.` });
+    if (scanType && !SCAN_TYPES[normalizeScanType(scanType)]) {
+        return res.status(400).json({ message: `Invalid scan type "${scanType}". Must be one of: ${Object.keys(SCAN_TYPES).join(', ')}.` });
+    }
+
+    const results = [];
+    try {
+        const baseUrl = await getPublicBaseUrl();
+        await withTransaction(async () => {
+            for (const entry of entries) {
+                const number = String(entry.trackingNumber || '').trim();
+                const type = normalizeScanType(entry.scanType || scanType);
+                const result = { trackingNumber: number, scanType: type };
+                results.push(result);
+                if (!SCAN_TYPES[type]) {
+                    Object.assign(result, { result: 'rejected', message: `Invalid scan type "${entry.scanType || scanType || ''}".` });
+                    continue;
+                }
+                const shipment = number ? await dbGet('SELECT id, status FROM shipments WHERE trackingNumber = ?', [number]) : null;
+                if (!shipment) {
+                    Object.assign(result, { result: 'unknown', message: 'No shipment with this tracking number.' });
+                    continue;
+                }
+                const { label, status } = SCAN_TYPES[type];
+                result.previousStatus = shipment.status;
+                result.status = shipment.status;
+                if (shipment.status === status) {
+                    Object.assign(result, { result: 'unchanged', message: `Already ${status}.` });
+                    continue;
+                }
+                // Scans never override the state machine; odd moves still go through the status modal.
+                if (!isStandardTransition(shipment.status, status)) {
+                    Object.assign(result, { result: 'rejected', message: `Cannot change status from ${shipment.status} to ${status}.` });
+                    continue;
+                }
+                await dbRun('UPDATE shipments SET status = ? WHERE id = ?', [status, shipment.id]);
+                const note = `Scanned: ${label}${deviceId ? ` (device ${deviceId})` : ''}`;
+                await recordStatusEvent(shipment.id, status, { note, location: entry.location || location, username: req.user.username });
+                await queueStatusNotifications(shipment.id, status, baseUrl);
+                Object.assign(result, { result: 'updated', status });
+            }
+        });
+        wakeNotificationWorker();
+    } catch (error) {
+        console.error('Error processing scans:', error.message);
+        return res.status(500).json({ message: 'Error processing scans.' });
+    }
+
+    const summary = { updated: 0, unchanged: 0, unknown: 0, rejected: 0 };
+    results.forEach(r => summary[r.result]++);
+    res.status(200).json({
+        summary,
+        unknown: results.filter(r => r.result === 'unknown').map(r => r.trackingNumber),
+        alreadyInState: results.filter(r => r.result === 'unchanged').map(r => r.trackingNumber),
+        results,
+    });
+});
+
+apiRouter.get('/scan-types', (req, res) => {
+    res.status(200).json(Object.entries(SCAN_TYPES).map(([value, { label, status }]) => ({ value, label, status })));
+});
+
+
+// --- Proof of Delivery ---
+apiRouter.post('/shipments/:trackingNumber/pod', async (req, res) => {
+    const { trackingNumber } = req.params;
+    const { receiverName, signature, photo, deliveredAt, location, note, overrideReason } = req.body;
+    if (!receiverName || !signature) return res.status(400).json({ message: 'Receiver name and signature are required.' });
+    const signatureImage = decodeImage(signature);
+    if (!signatureImage || signatureImage.type !== 'png') return res.status(400).json({ message: 'Signature must be a PNG image (base64 or data URL).' });
+    if (photo && !decodeImage(photo)) return res.status(400).json({ message: 'Photo must be a PNG or JPEG image (base64 or data URL).' });
+    const deliveredDate = deliveredAt ? new Date(deliveredAt) : new Date();
+    if (isNaN(deliveredDate.getTime())) return res.status(400).json({ message: 'Invalid delivery timestamp.' });
+
+    try {
+        const baseUrl = await getPublicBaseUrl();
+        const response = await withTransaction(async () => {
+            const shipment = await dbGet('SELECT id, status FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+            if (!shipment) return { status: 404, body: { message: 'Shipment not found.' } };
+            const existingPod = await dbGet('SELECT id FROM proof_of_delivery WHERE shipment_id = ?', [shipment.id]);
+            if (existingPod) return { status: 409, body: { message: 'Proof of delivery has already been captured for this shipment.' } };
+            const transitionError = checkStatusTransition(shipment.status, 'Delivered', overrideReason);
+            if (transitionError) return { status: 400, body: { message: transitionError, allowed: STATUS_TRANSITIONS[shipment.status] || SHIPMENT_STATUSES } };
+
+            await dbRun(
+                'INSERT INTO proof_of_delivery (shipment_id, receiverName, signature, photo, deliveredAt, capturedBy, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [shipment.id, receiverName, signature, photo || null, deliveredDate.toISOString(), req.user.username, new Date().toISOString()]
+            );
+            await dbRun('UPDATE shipments SET status = ? WHERE id = ?', ['Delivered', shipment.id]);
+            const podNote = [`Received by ${receiverName}`, isStandardTransition(shipment.status, 'Delivered') ? null : `Override: ${overrideReason}`, note].filter(Boolean).join(' - ');
+            await recordStatusEvent(shipment.id, 'Delivered', { note: podNote, location, username: req.user.username });
+            await queueShipmentNotifications(shipment.id, 'delivered', baseUrl);
+            return { status: 201, body: { message: 'Proof of delivery captured. Shipment marked as Delivered.' } };
+        });
+        wakeNotificationWorker();
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        console.error('Error capturing proof of delivery:', error);
+        res.status(500).json({ message: 'Error capturing proof of delivery.' });
+    }
+});
+
+apiRouter.get('/shipments/:trackingNumber/pod', async (req, res) => {
+    try {
+        const pod = await dbGet(`
+            SELECT p.* FROM proof_of_delivery p
+            JOIN shipments s ON s.id = p.shipment_id
+            WHERE s.trackingNumber = ?`, [req.params.trackingNumber]);
+        if (!pod) return res.status(404).json({ message: 'No proof of delivery for this shipment.' });
+        res.status(200).json(pod);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching proof of delivery.' });
+    }
+});
+
+
+// --- Notifications ---
+apiRouter.get('/shipments/:trackingNumber/notifications', async (req, res) => {
+    const { trackingNumber } = req.params;
+    try {
+        const shipment = await dbGet('SELECT id FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+        if (!shipment) return res.status(404).json({ message: 'Shipment not found.' });
+        const notifications = await dbAll('SELECT id, event, recipientType, toAddress, subject, attachment, status, attempts, lastError, transport, nextAttemptAt, createdAt, sentAt FROM notification_outbox WHERE shipment_id = ? ORDER BY id DESC', [shipment.id]);
+        res.status(200).json(notifications.map(n => ({ ...n, eventLabel: NOTIFICATION_EVENTS[n.event] ? NOTIFICATION_EVENTS[n.event].label : n.event })));
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching notifications.' });
+    }
+});
+
+// Puts a failed message back in the queue with a fresh set of attempts.
+apiRouter.post('/notifications/:id/retry', async (req, res) => {
+    try {
+        const notification = await dbGet('SELECT id, status FROM notification_outbox WHERE id = ?', [req.params.id]);
+        if (!notification) return res.status(404).json({ message: 'Notification not found.' });
+        if (notification.status !== 'failed') return res.status(400).json({ message: 'Only failed notifications can be retried.' });
+        await dbRun("UPDATE notification_outbox SET status = 'pending', attempts = 0, nextAttemptAt = ? WHERE id = ?", [new Date().toISOString(), notification.id]);
+        wakeNotificationWorker();
+        res.status(200).json({ message: 'Notification queued for another attempt.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrying notification.' });
+    }
+});
+
+apiRouter.get('/notifications/config', requireRole('admin'), async (req, res) => {
+    try {
+        const transport = getMailTransport();
+        res.status(200).json({
+            enabled: await areNotificationsEnabled(),
+            transport: transport ? transport.name : null,
+            from: MAIL_FROM,
+            events: Object.entries(NOTIFICATION_EVENTS).map(([value, { label }]) => ({ value, label })),
+            placeholders: NOTIFICATION_PLACEHOLDERS,
+            templates: await getNotificationTemplates(),
+            accountExecutives: await dbAll('SELECT name, email FROM account_executives ORDER BY name'),
+            pending: (await dbGet("SELECT COUNT(*) AS count FROM notification_outbox WHERE status = 'pending'")).count,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching notification settings.' });
+    }
+});
+
+const validateNotificationConfig = ({ templates, accountExecutives }) => {
+    if (templates !== undefined) {
+        if (typeof templates !== 'object' || templates === null || Array.isArray(templates)) return 'Templates must be an object keyed by event.';
+        for (const [event, template] of Object.entries(templates)) {
+            if (!NOTIFICATION_EVENTS[event]) return `Unknown notification event "${event}".`;
+            if (template !== null && (typeof template !== 'object' || typeof template.subject !== 'string' || typeof template.body !== 'string')) return `The ${event} template needs a subject and a body.`;
+            if (template && (!template.subject.trim()) !== (!template.body.trim())) return `The ${event} template needs both a subject and a body, or neither to use the default.`;
+        }
+    }
+    if (accountExecutives !== undefined) {
+        if (!Array.isArray(accountExecutives)) return 'Account executives must be a list.';
+        const names = new Set();
+        for (const ae of accountExecutives) {
+            const name = ae && typeof ae.name === 'string' ? ae.name.trim() : '';
+            if (!name) return 'Every account executive needs a name.';
+            if (!ae.email || !EMAIL_PATTERN.test(ae.email)) return `Invalid email address for account executive ${name}.`;
+            if (names.has(name.toLowerCase())) return `Account executive ${name} is listed twice.`;
+            names.add(name.toLowerCase());
+        }
+    }
+    return null;
+};
+
+// Templates left blank (or null) fall back to the defaults. The AE list replaces the stored one.
+apiRouter.put('/notifications/config', requireRole('admin'), async (req, res) => {
+    const validationError = validateNotificationConfig(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const { enabled, templates, accountExecutives } = req.body;
+    if (enabled && !getMailTransport()) return res.status(400).json({ message: 'No mail transport is configured. Set SMTP_HOST (or MAIL_TRANSPORT) on the server first.' });
+    try {
+        await withTransaction(async () => {
+            if (enabled !== undefined) {
+                await dbRun("INSERT OR REPLACE INTO settings (key, value) VALUES ('notificationsEnabled', ?)", [enabled ? 'true' : 'false']);
+            }
+            for (const [event, template] of Object.entries(templates || {})) {
+                if (template && template.subject.trim()) {
+                    await dbRun('INSERT OR REPLACE INTO notification_templates (event, subject, body) VALUES (?, ?, ?)', [event, template.subject.trim(), template.body]);
+                } else {
+                    await dbRun('DELETE FROM notification_templates WHERE event = ?', [event]);
+                }
+            }
+            if (accountExecutives !== undefined) {
+                await dbRun('DELETE FROM account_executives');
+                for (const ae of accountExecutives) {
+                    await dbRun('INSERT INTO account_executives (name, email) VALUES (?, ?)', [ae.name.trim(), ae.email.trim()]);
+                }
+            }
+        });
+        res.status(200).json({ message: 'Notification settings saved successfully!' });
+    } catch (error) {
+        console.error('Error saving notification settings:', error.message);
+        res.status(500).json({ message: 'Error saving notification settings.' });
+    }
+});
 
-// --- Addresses, Elements, Settings, Chase Import ---
+// --- Addresses, Elements, Settings, Chase Sync ---
 apiRouter.post('/addresses', async (req, res) => {
     try {
         const { name, contactPerson, phone, address } = req.body;
@@ -449,288 +2528,1092 @@ apiRouter.delete('/addresses/:id', async (req, res) => {
         if (result.changes === 0) return res.status(404).json({ message: 'Address not found.' });
         res.status(200).json({ message: 'Address deleted successfully!' });
     } catch (error) {
-        res.status(500).json({ message: 'Error deleting address.' });
+        res.status(500).json({ message: 'Error deleting address.' });
+    }
+});
+apiRouter.post('/elements', async (req, res) => {
+    try {
+        const { brand, product, color, description } = req.body;
+        const result = await dbRun('INSERT INTO elements (brand, product, color, description) VALUES (?, ?, ?, ?)', [brand, product, color, description]);
+        res.status(201).json({ message: 'Element added successfully!', id: result.lastID });
+    } catch (error) {
+        res.status(500).json({ message: 'Error creating element.' });
+    }
+});
+apiRouter.put('/elements/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { brand, product, color, description } = req.body;
+        const result = await dbRun(`UPDATE elements SET brand = ?, product = ?, color = ?, description = ? WHERE id = ?`, [brand, product, color, description, id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Element not found.' });
+        res.status(200).json({ message: 'Element updated successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating element.' });
+    }
+});
+apiRouter.delete('/elements/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await dbRun('DELETE FROM elements WHERE id = ?', [id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Element not found.' });
+        res.status(200).json({ message: 'Element deleted successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting element.' });
+    }
+});
+// Bulk CSV import into the address book and elements catalogue. The first row names the columns, in any order and
+// case (a few common alternatives are accepted). Every row is checked and compared with the stored rows and the
+// earlier rows of the file. A dry run only returns that preview; otherwise the new rows are added in one
+// transaction, duplicates are skipped, and nothing is added while any row has errors.
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_MAX_FIELD_LENGTH = 1000;
+const IMPORT_TYPES = {
+    addresses: {
+        table: 'addresses',
+        // field: accepted headers, compared without case, spaces or punctuation
+        fields: { name: ['name', 'company', 'store'], contactPerson: ['contactperson', 'contact', 'contactname'], phone: ['phone', 'telephone', 'tel', 'contactnumber'], address: ['address'] },
+        required: ['name', 'address'],
+        duplicateKey: ['name', 'address'],
+    },
+    elements: {
+        table: 'elements',
+        fields: { brand: ['brand'], product: ['product'], color: ['color', 'colour'], description: ['description'] },
+        required: ['brand', 'product'],
+        duplicateKey: ['brand', 'product', 'color'],
+    },
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, '');
+const getDuplicateKey = (definition, values) => definition.duplicateKey.map(field => String(values[field] || '').trim().toLowerCase().replace(/\s+/g, ' ')).join('\u0000');
+
+// Returns { rows, ignoredColumns } with a status of new, duplicate or error per row, or { error } for the whole file.
+const previewImport = async (definition, csv) => {
+    const [header, ...records] = parseCsv(csv);
+    if (!header) return { error: 'The file is empty.' };
+    if (records.length > IMPORT_MAX_ROWS) return { error: `A file can have at most ${IMPORT_MAX_ROWS} rows.` };
+    const columns = header.values.map(value => Object.keys(definition.fields).find(field => definition.fields[field].includes(normalizeHeader(value))) || null);
+    const missing = definition.required.filter(field => !columns.includes(field));
+    if (missing.length > 0) return { error: `The header row must include: ${missing.join(', ')}.` };
+
+    const existing = new Set((await dbAll(`SELECT ${definition.duplicateKey.join(', ')} FROM ${definition.table}`)).map(row => getDuplicateKey(definition, row)));
+    const seen = new Map();
+    const rows = records.map(({ line, values: cells }) => {
+        const values = Object.fromEntries(Object.keys(definition.fields).map(field => [field, '']));
+        columns.forEach((field, index) => { if (field) values[field] = (cells[index] || '').trim(); });
+        const errors = [];
+        if (cells.length > header.values.length) errors.push(`Has ${cells.length} values but the header has ${header.values.length} columns.`);
+        for (const field of definition.required) if (!values[field]) errors.push(`${field} is required.`);
+        for (const [field, value] of Object.entries(values)) if (value.length > IMPORT_MAX_FIELD_LENGTH) errors.push(`${field} is longer than ${IMPORT_MAX_FIELD_LENGTH} characters.`);
+        if (values.phone && !/^[0-9+()\-./\s]+$/.test(values.phone)) errors.push('phone may only contain digits, spaces and + ( ) - . /');
+        if (errors.length > 0) return { line, status: 'error', values, errors };
+        const key = getDuplicateKey(definition, values);
+        if (existing.has(key)) return { line, status: 'duplicate', values, errors, duplicateOf: 'existing' };
+        if (seen.has(key)) return { line, status: 'duplicate', values, errors, duplicateOf: `line ${seen.get(key)}` };
+        seen.set(key, line);
+        return { line, status: 'new', values, errors };
+    });
+    return { rows, ignoredColumns: header.values.filter((value, index) => !columns[index] && value.trim()) };
+};
+
+apiRouter.post('/import/:type', async (req, res) => {
+    const definition = IMPORT_TYPES[req.params.type];
+    if (!definition) return res.status(404).json({ message: `Unknown import. Must be one of: ${Object.keys(IMPORT_TYPES).join(', ')}.` });
+    const { csv } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    if (typeof csv !== 'string' || !csv.trim()) return res.status(400).json({ message: 'Upload a CSV file with a header row.' });
+
+    let preview;
+    try {
+        preview = await previewImport(definition, csv);
+        if (preview.error) return res.status(400).json({ message: preview.error });
+    } catch (error) {
+        console.error(`Error reading ${req.params.type} import:`, error.message);
+        return res.status(500).json({ message: 'Error reading the import file.' });
+    }
+    const { rows, ignoredColumns } = preview;
+    const newRows = rows.filter(row => row.status === 'new');
+    const summary = {
+        rows: rows.length,
+        new: newRows.length,
+        duplicates: rows.filter(row => row.status === 'duplicate').length,
+        errors: rows.filter(row => row.status === 'error').length,
+        imported: 0,
+    };
+    if (dryRun) return res.status(200).json({ message: 'Preview only; nothing was imported.', dryRun, summary, ignoredColumns, rows });
+    if (summary.errors > 0) return res.status(400).json({ message: `Nothing was imported: ${summary.errors} row(s) have errors.`, dryRun, summary, ignoredColumns, rows });
+
+    try {
+        const fields = Object.keys(definition.fields);
+        await withTransaction(async () => {
+            for (const row of newRows) {
+                await dbRun(`INSERT INTO ${definition.table} (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`, fields.map(field => row.values[field] || null));
+            }
+        });
+        summary.imported = newRows.length;
+        res.status(200).json({ message: `Imported ${summary.imported} row(s); skipped ${summary.duplicates} duplicate(s).`, dryRun, summary, ignoredColumns, rows });
+    } catch (error) {
+        console.error(`Error importing ${req.params.type}:`, error.message);
+        res.status(500).json({ message: 'Error importing rows; nothing was imported.' });
+    }
+});
+
+apiRouter.get('/settings/waybill', async (req, res) => {
+    try {
+        const settingsRows = await dbAll('SELECT key, value FROM settings');
+        res.status(200).json(settingsRows.reduce((acc, row) => ({ ...acc, [row.key]: row.value }), {}));
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching settings.' });
+    }
+});
+apiRouter.get('/settings/money', async (req, res) => {
+    try {
+        res.status(200).json({ ...(await getMoneySettings()), roundingModes: ROUNDING_MODES });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching money settings.' });
+    }
+});
+apiRouter.post('/settings/waybill', requireRole('admin'), async (req, res) => {
+    const validationError = validateMoneySettings(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    try {
+        const settingsData = req.body;
+        await withTransaction(async () => {
+            for (const [key, value] of Object.entries(settingsData)) {
+                await dbRun("INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)", [key, value]);
+            }
+        });
+        res.status(200).json({ message: 'Settings saved successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving settings.' });
+    }
+});
+// With ?stream=true the reply is newline-delimited JSON: progress events while the sync runs, then a 'done' event with the result.
+const respondWithChaseSync = async (req, res, credentials) => {
+    const options = { trigger: 'manual', startedBy: req.user.username };
+    if (req.query.stream !== 'true') {
+        const result = await syncChaseData(credentials, options);
+        return res.status(result.success ? 200 : (result.busy ? 409 : 500)).json({ message: result.message, run: result.run });
+    }
+    if (chaseSyncInProgress) return res.status(409).json({ message: 'A Chase sync is already running.' });
+    res.status(200).set({ 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+    // The sync carries on if the browser goes away; its result is still in the run log.
+    const send = (event) => { if (!res.writableEnded && !res.destroyed) res.write(`${JSON.stringify(event)}\n`); };
+    const result = await syncChaseData(credentials, { ...options, onProgress: send });
+    send({ type: 'done', success: result.success, message: result.message, run: result.run });
+    res.end();
+};
+apiRouter.post('/chase/import', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) return res.status(400).json({ message: 'Username and password are required for import.' });
+    await respondWithChaseSync(req, res, { username, password });
+});
+apiRouter.get('/chase/sync-status', async (req, res) => {
+    try {
+        const config = await getChaseSyncConfig();
+        // Reports can be long, so the list leaves them out; /chase/sync-runs/:id has the full run
+        const runs = await dbAll('SELECT id, trigger, startedBy, startedAt, finishedAt, status, jobsAdded, jobsUpdated, jobsMerged, jobsRemoved, ceNumbersAdded, recordsSkipped, recordsInvalid, documentsWithoutJob, recordsFailed, error FROM chase_sync_runs ORDER BY id DESC LIMIT ?', [CHASE_SYNC_RUNS_KEPT]);
+        res.status(200).json({
+            configured: !!(config.username && config.passwordEncrypted),
+            enabled: !!config.enabled,
+            username: config.username,
+            intervalMinutes: config.intervalMinutes,
+            apiUrl: CHASE_API_URL,
+            running: chaseSyncInProgress,
+            nextRunAt: nextChaseSyncAt,
+            lastRun: runs[0] || null,
+            lastSuccessAt: (runs.find(run => run.status === 'success') || {}).finishedAt || null,
+            runs,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching Chase sync status.' });
+    }
+});
+apiRouter.get('/chase/sync-runs/:id', async (req, res) => {
+    try {
+        const run = await getChaseSyncRun(req.params.id);
+        if (!run) return res.status(404).json({ message: 'Sync run not found.' });
+        res.status(200).json(run);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching Chase sync run.' });
+    }
+});
+// The password is only replaced when one is sent, so the interval can be changed without retyping it.
+apiRouter.put('/chase/sync-settings', requireRole('admin'), async (req, res) => {
+    const { username, password, enabled } = req.body;
+    const intervalMinutes = Number(req.body.intervalMinutes ?? DEFAULT_CHASE_SYNC_INTERVAL_MINUTES);
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_CHASE_SYNC_INTERVAL_MINUTES || intervalMinutes > MAX_CHASE_SYNC_INTERVAL_MINUTES) {
+        return res.status(400).json({ message: `Interval must be a whole number of minutes from ${MIN_CHASE_SYNC_INTERVAL_MINUTES} to ${MAX_CHASE_SYNC_INTERVAL_MINUTES}.` });
+    }
+    if (typeof username !== 'string' || !username.trim()) return res.status(400).json({ message: 'A Chase username is required.' });
+    if (password !== undefined && password !== '' && typeof password !== 'string') return res.status(400).json({ message: 'Password must be text.' });
+    try {
+        const current = await getChaseSyncConfig();
+        const passwordEncrypted = password ? encryptSecret(password) : current.passwordEncrypted;
+        if (enabled && !passwordEncrypted) return res.status(400).json({ message: 'A Chase password is required to enable the sync.' });
+        await dbRun(`INSERT OR REPLACE INTO chase_sync_config (id, username, passwordEncrypted, intervalMinutes, enabled, updatedAt, updatedBy) VALUES (1, ?, ?, ?, ?, ?, ?)`,
+            [username.trim(), passwordEncrypted, intervalMinutes, enabled ? 1 : 0, new Date().toISOString(), req.user.username]);
+        await scheduleChaseSync();
+        res.status(200).json({ message: 'Chase sync settings saved.', nextRunAt: nextChaseSyncAt });
+    } catch (error) {
+        console.error('Error saving Chase sync settings:', error.message);
+        res.status(500).json({ message: 'Error saving Chase sync settings.' });
+    }
+});
+// Runs the sync now with the stored credentials; the schedule carries on from its own timer.
+apiRouter.post('/chase/sync', requireRole('admin'), async (req, res) => {
+    let credentials;
+    try {
+        const config = await getChaseSyncConfig();
+        if (!config.username || !config.passwordEncrypted) return res.status(400).json({ message: 'Save the Chase credentials before running a sync.' });
+        credentials = { username: config.username, password: decryptSecret(config.passwordEncrypted) };
+    } catch (error) {
+        console.error('Error reading Chase credentials:', error.message);
+        return res.status(500).json({ message: 'The stored Chase credentials could not be read. Save them again.' });
+    }
+    await respondWithChaseSync(req, res, credentials);
+});
+
+// --- Job Management (local jobs, CE numbers, status) ---
+// Jobs created here are flagged source 'manual'. Chase jobs are kept up to date by the sync, so only manual jobs can be edited or deleted.
+const JOB_TEXT_FIELDS = ['jobNo', 'customerName', 'productName', 'accountExecutive', 'description'];
+
+// Returns { values } with trimmed text (empty becomes null), or { error }.
+const validateJobFields = (body) => {
+    const values = {};
+    for (const field of JOB_TEXT_FIELDS) {
+        const value = body[field];
+        if (value != null && typeof value !== 'string') return { error: `${field} must be text.` };
+        values[field] = value && value.trim() ? value.trim() : null;
+    }
+    if (!values.jobNo) return { error: 'A job number is required.' };
+    return { values };
+};
+
+const findJobByNumber = (jobNo, exceptId = null) => dbGet('SELECT id, source FROM chaseJobs WHERE jobNo = ? AND id IS NOT ?', [jobNo, exceptId]);
+
+apiRouter.post('/chase-jobs', async (req, res) => {
+    const { values, error } = validateJobFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    try {
+        const response = await withTransaction(async () => {
+            if (await findJobByNumber(values.jobNo)) return { status: 409, body: { message: `Job ${values.jobNo} already exists.` } };
+            const now = new Date().toISOString();
+            const result = await dbRun(`INSERT INTO chaseJobs (${JOB_TEXT_FIELDS.join(', ')}, status, source, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, 'manual', ?, ?)`, [...JOB_TEXT_FIELDS.map(field => values[field]), INITIAL_JOB_STATUS, now, now]);
+            await recordJobStatusEvent(result.lastID, null, INITIAL_JOB_STATUS, { note: 'Job created', username: req.user.username });
+            return { status: 201, body: { message: 'Job created successfully!', id: result.lastID } };
+        });
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        console.error('Error creating job:', error.message);
+        res.status(500).json({ message: 'Error creating job.' });
+    }
+});
+apiRouter.put('/chase-jobs/:id', async (req, res) => {
+    const { values, error } = validateJobFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    try {
+        const job = await dbGet('SELECT id, source FROM chaseJobs WHERE id = ?', [req.params.id]);
+        if (!job) return res.status(404).json({ message: 'Job not found.' });
+        if (job.source !== 'manual') return res.status(400).json({ message: 'Chase jobs are updated by the Chase sync and cannot be edited here.' });
+        if (await findJobByNumber(values.jobNo, job.id)) return res.status(409).json({ message: `Job ${values.jobNo} already exists.` });
+        await dbRun(`UPDATE chaseJobs SET ${JOB_TEXT_FIELDS.map(field => `${field} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`, [...JOB_TEXT_FIELDS.map(field => values[field]), new Date().toISOString(), job.id]);
+        res.status(200).json({ message: 'Job updated successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating job.' });
+    }
+});
+apiRouter.delete('/chase-jobs/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const job = await dbGet('SELECT id, source FROM chaseJobs WHERE id = ?', [req.params.id]);
+        if (!job) return res.status(404).json({ message: 'Job not found.' });
+        if (job.source !== 'manual') return res.status(400).json({ message: 'Chase jobs cannot be deleted; they are marked as removed when Chase drops them.' });
+        await dbRun('DELETE FROM chaseJobs WHERE id = ?', [job.id]);
+        res.status(200).json({ message: 'Job deleted successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting job.' });
+    }
+});
+
+// A CE number belongs to one job, so a scanned CE number always finds the same job.
+apiRouter.post('/chase-jobs/:id/ce-numbers', async (req, res) => {
+    const ceNumber = typeof req.body.ceNumber === 'string' ? req.body.ceNumber.trim() : '';
+    if (!ceNumber) return res.status(400).json({ message: 'A CE number is required.' });
+    try {
+        const job = await dbGet('SELECT id FROM chaseJobs WHERE id = ?', [req.params.id]);
+        if (!job) return res.status(404).json({ message: 'Job not found.' });
+        const owner = await dbGet('SELECT j.id, j.jobNo FROM job_ce_numbers ce JOIN chaseJobs j ON j.id = ce.job_id WHERE ce.ce_number = ?', [ceNumber]);
+        if (owner) return res.status(409).json({ message: owner.id === job.id ? `CE ${ceNumber} is already on this job.` : `CE ${ceNumber} already belongs to job ${owner.jobNo}.` });
+        await dbRun("INSERT INTO job_ce_numbers (job_id, ce_number, source) VALUES (?, ?, 'manual')", [job.id, ceNumber]);
+        res.status(201).json({ message: `CE ${ceNumber} added to the job.` });
+    } catch (error) {
+        res.status(500).json({ message: 'Error adding CE number.' });
+    }
+});
+apiRouter.delete('/chase-jobs/:id/ce-numbers/:ceNumber', async (req, res) => {
+    try {
+        const link = await dbGet('SELECT id, source FROM job_ce_numbers WHERE job_id = ? AND ce_number = ?', [req.params.id, req.params.ceNumber]);
+        if (!link) return res.status(404).json({ message: 'CE number not found on this job.' });
+        if (link.source !== 'manual') return res.status(400).json({ message: 'This CE number comes from Chase and would be linked again by the next sync.' });
+        await dbRun('DELETE FROM job_ce_numbers WHERE id = ?', [link.id]);
+        res.status(200).json({ message: `CE ${req.params.ceNumber} removed from the job.` });
+    } catch (error) {
+        res.status(500).json({ message: 'Error removing CE number.' });
+    }
+});
+
+apiRouter.patch('/chase-jobs/:id/status', async (req, res) => {
+    const { status, note } = req.body;
+    if (!JOB_STATUSES.includes(status)) return res.status(400).json({ message: `Invalid status "${status}". Must be one of: ${JOB_STATUSES.join(', ')}.` });
+    try {
+        const response = await withTransaction(async () => {
+            const job = await dbGet('SELECT id, status FROM chaseJobs WHERE id = ?', [req.params.id]);
+            if (!job) return { status: 404, body: { message: 'Job not found.' } };
+            // Jobs with a status from before the lifecycle may move anywhere
+            const allowed = JOB_STATUS_TRANSITIONS[job.status] || JOB_STATUSES;
+            if (!allowed.includes(status)) return { status: 400, body: { message: `Cannot change a job from ${job.status} to ${status}.`, allowed } };
+            await dbRun('UPDATE chaseJobs SET status = ?, updatedAt = ? WHERE id = ?', [status, new Date().toISOString(), job.id]);
+            await recordJobStatusEvent(job.id, job.status, status, { note, username: req.user.username });
+            return { status: 200, body: { message: 'Job status updated.' } };
+        });
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating job status.' });
+    }
+});
+
+// --- Delivery Notes CRUD ---
+// Lines without a description or quantity are blank rows and are left out. Every other line needs a price
+// (0 is allowed; numeric strings are accepted), otherwise { error } is returned rather than dropping the line.
+// The totals are worked out from the stored lines.
+const prepareDeliveryNoteItems = (items, vatRate, money) => {
+    const validItems = [];
+    for (const item of items.filter(item => item.description && item.quantity)) {
+        const price = item.price === null || item.price === undefined || item.price === '' ? NaN : Number(item.price);
+        if (!Number.isFinite(price)) return { error: `Item "${item.description}" needs a valid price.` };
+        validItems.push({ ...item, price, vatExempt: item.vatExempt ? 1 : 0 });
+    }
+    return { validItems, ...calculateTotals(validItems, vatRate, money) };
+};
+
+const DELIVERY_NOTE_HEADER_FIELDS = ['clientName', 'date', 'address', 'contactPerson', 'contactNumber', 'jobNo', 'ceNumber'];
+
+// Returns the current note, or an older version rebuilt from its snapshot, as { note, items }; null if either does not exist.
+const getDeliveryNoteVersion = async (id, version) => {
+    const note = await dbGet('SELECT * FROM delivery_notes WHERE id = ?', [id]);
+    if (!note) return null;
+    if (!version || Number(version) === note.version) {
+        const items = await dbAll('SELECT * FROM delivery_note_items WHERE delivery_note_id = ? ORDER BY id', [id]);
+        return { note, items };
+    }
+    const row = await dbGet('SELECT snapshot, savedAt, savedBy FROM delivery_note_versions WHERE delivery_note_id = ? AND version = ?', [id, version]);
+    if (!row) return null;
+    const { items, ...header } = JSON.parse(row.snapshot);
+    return { note: { ...note, ...header, version: Number(version), updatedAt: row.savedAt, updatedBy: row.savedBy }, items };
+};
+
+apiRouter.get('/delivery-notes/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const current = await getDeliveryNoteVersion(id);
+        if (!current) return res.status(404).json({ message: 'Delivery note not found.' });
+        const versions = await dbAll('SELECT version, savedAt, savedBy, replacedAt, replacedBy FROM delivery_note_versions WHERE delivery_note_id = ? ORDER BY version DESC', [id]);
+        const shipment = current.note.shipment_id ? await dbGet('SELECT trackingNumber FROM shipments WHERE id = ?', [current.note.shipment_id]) : null;
+        res.status(200).json({ ...current.note, trackingNumber: shipment ? shipment.trackingNumber : null, items: current.items, versions });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching delivery note.' });
+    }
+});
+
+apiRouter.get('/delivery-notes/:id/versions/:version', async (req, res) => {
+    const { id, version } = req.params;
+    try {
+        const result = await getDeliveryNoteVersion(id, version);
+        if (!result) return res.status(404).json({ message: 'Delivery note version not found.' });
+        res.status(200).json({ ...result.note, items: result.items });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching delivery note version.' });
+    }
+});
+
+// Numbers and stores a new note with its items. Must run inside a transaction.
+// Returns { error } without writing anything when an item is invalid.
+const insertDeliveryNote = async ({ clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, items, shipmentId = null }, username) => {
+    // New notes take the current VAT rate, which then stays with the note
+    const money = await getMoneySettings();
+    const { validItems, subtotal, vat, total, error } = prepareDeliveryNoteItems(items, money.vatRate, money);
+    if (error) return { error };
+
+    const counter = await dbGet("SELECT currentNumber FROM counters WHERE name = 'deliveryNoteCounter'");
+    const newCount = (counter ? counter.currentNumber : 1000) + 1;
+    const deliveryNoteNumber = `DN${newCount}`;
+
+    const noteResult = await dbRun(
+        `INSERT INTO delivery_notes (deliveryNoteNumber, clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, subtotal, vatRate, vat, total, createdAt, createdBy, shipment_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [deliveryNoteNumber, clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, subtotal, money.vatRate, vat, total, new Date().toISOString(), username, shipmentId]
+    );
+    const noteId = noteResult.lastID;
+
+    for (const item of validItems) {
+        await dbRun('INSERT INTO delivery_note_items (delivery_note_id, quantity, description, price, vatExempt) VALUES (?, ?, ?, ?, ?)', [noteId, item.quantity, item.description, item.price, item.vatExempt]);
+    }
+
+    await dbRun("UPDATE counters SET currentNumber = ? WHERE name = 'deliveryNoteCounter'", [newCount]);
+    return { id: noteId, deliveryNoteNumber };
+};
+
+apiRouter.post('/delivery-notes', async (req, res) => {
+    const { clientName, date, address, items } = req.body;
+
+    if (!clientName || !date || !address || !items || !Array.isArray(items)) {
+        return res.status(400).json({ message: 'Missing required fields.' });
+    }
+
+    try {
+        const { id: noteId, deliveryNoteNumber, error } = await withTransaction(() => insertDeliveryNote(req.body, req.user.username));
+        if (error) return res.status(400).json({ message: error });
+        res.status(201).json({ message: 'Delivery Note created successfully!', id: noteId, deliveryNoteNumber });
+    } catch (error) {
+        console.error("Error creating delivery note:", error);
+        res.status(500).json({ message: 'Error creating delivery note record.', error: error.message });
+    }
+});
+
+// Pre-fills a delivery note from the shipment's recipient and elements and links the two.
+// Elements have no price, so lines start at 0 unless the body supplies items; the note can then be edited.
+apiRouter.post('/shipments/:trackingNumber/delivery-note', async (req, res) => {
+    const { trackingNumber } = req.params;
+    const { date, items } = req.body;
+    if (items !== undefined && !Array.isArray(items)) return res.status(400).json({ message: 'Items must be a list.' });
+    try {
+        const response = await withTransaction(async () => {
+            const shipment = await dbGet('SELECT * FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+            if (!shipment) return { status: 404, body: { message: 'Shipment not found.' } };
+            const existing = await dbGet('SELECT id, deliveryNoteNumber FROM delivery_notes WHERE shipment_id = ?', [shipment.id]);
+            if (existing) return { status: 409, body: { message: `Shipment ${trackingNumber} already has delivery note ${existing.deliveryNoteNumber}.`, id: existing.id, deliveryNoteNumber: existing.deliveryNoteNumber } };
+            const elements = await dbAll('SELECT description, quantity FROM shipment_elements WHERE shipment_id = ? ORDER BY id', [shipment.id]);
+            const noteItems = items || elements
+                .filter(el => el.description)
+                .map(el => ({ quantity: parseInt(el.quantity, 10) || 1, description: el.description, price: 0 }));
+            const note = await insertDeliveryNote({
+                clientName: shipment.recipientName,
+                date: date || new Date().toISOString().slice(0, 10),
+                address: shipment.recipientAddress,
+                contactPerson: shipment.recipientContact,
+                jobNo: shipment.associatedJobNo,
+                ceNumber: shipment.ceNumber,
+                items: noteItems,
+                shipmentId: shipment.id,
+            }, req.user.username);
+            return { status: 201, body: { message: 'Delivery Note created from shipment.', ...note, trackingNumber } };
+        });
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        console.error("Error creating delivery note from shipment:", error);
+        res.status(500).json({ message: 'Error creating delivery note.' });
+    }
+});
+
+// Replaces the header and all items. The DN number and VAT rate never change; the previous version is kept.
+// Pass expectedVersion to avoid overwriting someone else's edit.
+apiRouter.put('/delivery-notes/:id', async (req, res) => {
+    const { id } = req.params;
+    const { clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, items, expectedVersion } = req.body;
+
+    if (!clientName || !date || !address || !items || !Array.isArray(items)) {
+        return res.status(400).json({ message: 'Missing required fields.' });
+    }
+
+    try {
+        const response = await withTransaction(async () => {
+            const current = await getDeliveryNoteVersion(id);
+            if (!current) return { status: 404, body: { message: 'Delivery note not found.' } };
+            const { note, items: currentItems } = current;
+            const { validItems, subtotal, vat, total, error } = prepareDeliveryNoteItems(items, note.vatRate, await getMoneySettings());
+            if (error || validItems.length === 0) return { status: 400, body: { message: error || 'A delivery note needs at least one item.' } };
+            if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== note.version) {
+                return { status: 409, body: { message: `This delivery note was changed by someone else (now version ${note.version}). Reload it and try again.`, version: note.version } };
+            }
+
+            const snapshot = {
+                ...Object.fromEntries(DELIVERY_NOTE_HEADER_FIELDS.map(field => [field, note[field]])),
+                subtotal: note.subtotal, vatRate: note.vatRate, vat: note.vat, total: note.total,
+                items: currentItems.map(({ quantity, description, price, vatExempt }) => ({ quantity, description, price, vatExempt })),
+            };
+            const now = new Date().toISOString();
+            await dbRun('INSERT INTO delivery_note_versions (delivery_note_id, version, snapshot, savedAt, savedBy, replacedAt, replacedBy) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [id, note.version, JSON.stringify(snapshot), note.updatedAt || note.createdAt, note.updatedBy || note.createdBy, now, req.user.username]);
+
+            await dbRun(`UPDATE delivery_notes SET clientName = ?, date = ?, address = ?, contactPerson = ?, contactNumber = ?, jobNo = ?, ceNumber = ?, subtotal = ?, vat = ?, total = ?, version = ?, updatedAt = ?, updatedBy = ? WHERE id = ?`,
+                [clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, subtotal, vat, total, note.version + 1, now, req.user.username, id]);
+            await dbRun('DELETE FROM delivery_note_items WHERE delivery_note_id = ?', [id]);
+            for (const item of validItems) {
+                await dbRun('INSERT INTO delivery_note_items (delivery_note_id, quantity, description, price, vatExempt) VALUES (?, ?, ?, ?, ?)', [id, item.quantity, item.description, item.price, item.vatExempt]);
+            }
+            return { status: 200, body: { message: 'Delivery Note updated successfully!', id: Number(id), deliveryNoteNumber: note.deliveryNoteNumber, version: note.version + 1 } };
+        });
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        console.error("Error updating delivery note:", error);
+        res.status(500).json({ message: 'Error updating delivery note.' });
+    }
+});
+
+apiRouter.delete('/delivery-notes/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await dbRun('DELETE FROM delivery_notes WHERE id = ?', [id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Delivery note not found.' });
+        res.status(200).json({ message: 'Delivery note deleted successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting delivery note.' });
+    }
+});
+
+// --- Drivers, Vehicles & Manifests ---
+const isValidDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+apiRouter.get('/drivers', async (req, res) => {
+    try {
+        const drivers = await dbAll('SELECT * FROM drivers ORDER BY active DESC, name ASC');
+        res.status(200).json(drivers);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching drivers.' });
+    }
+});
+apiRouter.post('/drivers', async (req, res) => {
+    const { name, phone, licenseNumber } = req.body;
+    if (!name || !String(name).trim()) return res.status(400).json({ message: 'Driver name is required.' });
+    try {
+        const result = await dbRun('INSERT INTO drivers (name, phone, licenseNumber, active, createdAt) VALUES (?, ?, ?, 1, ?)', [String(name).trim(), phone, licenseNumber, new Date().toISOString()]);
+        res.status(201).json({ message: 'Driver added successfully!', id: result.lastID });
+    } catch (error) {
+        res.status(500).json({ message: 'Error creating driver.' });
+    }
+});
+apiRouter.put('/drivers/:id', async (req, res) => {
+    const { id } = req.params;
+    const { name, phone, licenseNumber, active } = req.body;
+    if (!name || !String(name).trim()) return res.status(400).json({ message: 'Driver name is required.' });
+    try {
+        const result = await dbRun('UPDATE drivers SET name = ?, phone = ?, licenseNumber = ?, active = ? WHERE id = ?', [String(name).trim(), phone, licenseNumber, active === false || active === 0 ? 0 : 1, id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Driver not found.' });
+        res.status(200).json({ message: 'Driver updated successfully!' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating driver.' });
+    }
+});
+apiRouter.delete('/drivers/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await dbRun('DELETE FROM drivers WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Driver not found.' });
+        res.status(200).json({ message: 'Driver deleted successfully!' });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: 'This driver has manifests. Mark the driver inactive instead.' });
+        res.status(500).json({ message: 'Error deleting driver.' });
+    }
+});
+
+apiRouter.get('/vehicles', async (req, res) => {
+    try {
+        const vehicles = await dbAll('SELECT * FROM vehicles ORDER BY active DESC, registration ASC');
+        res.status(200).json(vehicles);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching vehicles.' });
+    }
+});
+apiRouter.post('/vehicles', async (req, res) => {
+    const { registration, description } = req.body;
+    if (!registration || !String(registration).trim()) return res.status(400).json({ message: 'Vehicle registration is required.' });
+    try {
+        const result = await dbRun('INSERT INTO vehicles (registration, description, active, createdAt) VALUES (?, ?, 1, ?)', [String(registration).trim().toUpperCase(), description, new Date().toISOString()]);
+        res.status(201).json({ message: 'Vehicle added successfully!', id: result.lastID });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: 'A vehicle with this registration already exists.' });
+        res.status(500).json({ message: 'Error creating vehicle.' });
+    }
+});
+apiRouter.put('/vehicles/:id', async (req, res) => {
+    const { id } = req.params;
+    const { registration, description, active } = req.body;
+    if (!registration || !String(registration).trim()) return res.status(400).json({ message: 'Vehicle registration is required.' });
+    try {
+        const result = await dbRun('UPDATE vehicles SET registration = ?, description = ?, active = ? WHERE id = ?', [String(registration).trim().toUpperCase(), description, active === false || active === 0 ? 0 : 1, id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Vehicle not found.' });
+        res.status(200).json({ message: 'Vehicle updated successfully!' });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: 'A vehicle with this registration already exists.' });
+        res.status(500).json({ message: 'Error updating vehicle.' });
+    }
+});
+apiRouter.delete('/vehicles/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await dbRun('DELETE FROM vehicles WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Vehicle not found.' });
+        res.status(200).json({ message: 'Vehicle deleted successfully!' });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: 'This vehicle is on manifests. Mark it inactive instead.' });
+        res.status(500).json({ message: 'Error deleting vehicle.' });
+    }
+});
+
+// Assigns shipments to a driver's run for a day. New stops are appended after the driver's existing stops;
+// a shipment already on another driver's run that day is moved.
+apiRouter.post('/assignments', async (req, res) => {
+    const { driverId, vehicleId, date, trackingNumbers } = req.body;
+    if (!driverId) return res.status(400).json({ message: 'Driver is required.' });
+    if (!isValidDay(date)) return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format.' });
+    if (!Array.isArray(trackingNumbers) || trackingNumbers.length === 0) return res.status(400).json({ message: 'At least one tracking number is required.' });
+    const numbers = [...new Set(trackingNumbers.map(n => String(n).trim()).filter(Boolean))];
+    try {
+        const driver = await dbGet('SELECT id, active FROM drivers WHERE id = ?', [driverId]);
+        if (!driver) return res.status(404).json({ message: 'Driver not found.' });
+        if (!driver.active) return res.status(400).json({ message: 'This driver is inactive.' });
+        if (vehicleId) {
+            const vehicle = await dbGet('SELECT id, active FROM vehicles WHERE id = ?', [vehicleId]);
+            if (!vehicle) return res.status(404).json({ message: 'Vehicle not found.' });
+            if (!vehicle.active) return res.status(400).json({ message: 'This vehicle is inactive.' });
+        }
+        const shipments = await dbAll(`SELECT id, trackingNumber FROM shipments WHERE trackingNumber IN (${numbers.map(() => '?').join(', ')})`, numbers);
+        const byTrackingNumber = new Map(shipments.map(row => [row.trackingNumber, row]));
+        const missing = numbers.filter(n => !byTrackingNumber.has(n));
+        if (missing.length > 0) return res.status(404).json({ message: `Shipments not found: ${missing.join(', ')}`, missing });
+
+        await withTransaction(async () => {
+            const { lastStop } = await dbGet('SELECT COALESCE(MAX(stopOrder), 0) as lastStop FROM shipment_assignments WHERE driver_id = ? AND date = ?', [driverId, date]);
+            let stopOrder = lastStop;
+            const now = new Date().toISOString();
+            for (const number of numbers) {
+                const shipment = byTrackingNumber.get(number);
+                const existing = await dbGet('SELECT id, driver_id FROM shipment_assignments WHERE shipment_id = ? AND date = ?', [shipment.id, date]);
+                if (existing && existing.driver_id === Number(driverId)) {
+                    await dbRun('UPDATE shipment_assignments SET vehicle_id = ? WHERE id = ?', [vehicleId || null, existing.id]);
+                    continue;
+                }
+                if (existing) await dbRun('DELETE FROM shipment_assignments WHERE id = ?', [existing.id]);
+                await dbRun('INSERT INTO shipment_assignments (shipment_id, driver_id, vehicle_id, date, stopOrder, assignedBy, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [shipment.id, driverId, vehicleId || null, date, ++stopOrder, req.user.username, now]);
+            }
+            // The whole run uses one vehicle, so changing it on any assignment changes it for the day
+            if (vehicleId) await dbRun('UPDATE shipment_assignments SET vehicle_id = ? WHERE driver_id = ? AND date = ?', [vehicleId, driverId, date]);
+        });
+        res.status(200).json({ message: `${numbers.length} shipment(s) assigned.` });
+    } catch (error) {
+        console.error('Error assigning shipments:', error.message);
+        res.status(500).json({ message: 'Error assigning shipments.' });
+    }
+});
+apiRouter.delete('/assignments/:id', async (req, res) => {
+    try {
+        const result = await dbRun('DELETE FROM shipment_assignments WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ message: 'Assignment not found.' });
+        res.status(200).json({ message: 'Shipment removed from the manifest.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error removing assignment.' });
+    }
+});
+
+// Returns a driver's run sheet for a day, or null if the driver does not exist.
+const getManifest = async (driverId, date) => {
+    const driver = await dbGet('SELECT id, name, phone, licenseNumber FROM drivers WHERE id = ?', [driverId]);
+    if (!driver) return null;
+    const rows = await dbAll(`
+        SELECT a.id as assignmentId, a.stopOrder, a.vehicle_id, s.id as shipmentId, s.trackingNumber, s.status, s.recipientName, s.recipientContact, s.recipientAddress, s.associatedJobNo, s.ceNumber
+        FROM shipment_assignments a JOIN shipments s ON s.id = a.shipment_id
+        WHERE a.driver_id = ? AND a.date = ?
+        ORDER BY a.stopOrder ASC, a.id ASC`, [driverId, date]);
+    const vehicleId = rows.map(row => row.vehicle_id).find(Boolean);
+    const vehicle = vehicleId ? await dbGet('SELECT id, registration, description FROM vehicles WHERE id = ?', [vehicleId]) : null;
+    const stops = [];
+    for (const [index, { vehicle_id, shipmentId, ...row }] of rows.entries()) {
+        const elements = await dbAll('SELECT description, quantity FROM shipment_elements WHERE shipment_id = ?', [shipmentId]);
+        stops.push({ ...row, stop: index + 1, elements });
+    }
+    return { driver, vehicle, date, stops };
+};
+
+apiRouter.get('/manifests/:driverId/:date', async (req, res) => {
+    const { driverId, date } = req.params;
+    if (!isValidDay(date)) return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format.' });
+    try {
+        const manifest = await getManifest(driverId, date);
+        if (!manifest) return res.status(404).json({ message: 'Driver not found.' });
+        res.status(200).json(manifest);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching manifest.' });
     }
 });
-apiRouter.post('/elements', async (req, res) => {
+
+
+// --- Statements ---
+const isValidMonth = (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value || '');
+
+// Shipments are billed in the month they were created; returns [start, end) as ISO dates.
+const getMonthRange = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return [new Date(Date.UTC(year, monthNumber - 1, 1)).toISOString(), new Date(Date.UTC(year, monthNumber, 1)).toISOString()];
+};
+
+const STATEMENT_SHIPMENTS_SQL = `
+    SELECT s.trackingNumber, s.createdAt, s.associatedJobNo, s.ceNumber, s.recipientName, s.serviceLevel, s.status, s.courier_charge,
+           ${SHIPMENT_CUSTOMER_SQL} AS customer
+    FROM shipments s WHERE s.createdAt >= ? AND s.createdAt < ?`;
+
+// Every customer with shipments in the month, with charge totals. Unpriced shipments are counted but add nothing.
+const getStatementSummary = async (month) => {
+    const money = await getMoneySettings();
+    const rows = await dbAll(`
+        SELECT MIN(customer) AS customer, COUNT(*) AS shipments, SUM(courier_charge IS NULL) AS unpriced, TOTAL(courier_charge) AS charges
+        FROM (${STATEMENT_SHIPMENTS_SQL}) GROUP BY customer COLLATE NOCASE ORDER BY customer COLLATE NOCASE`, getMonthRange(month));
+    const customers = rows.map(({ charges, ...row }) => {
+        const subtotal = roundMoney(charges, money);
+        const vat = roundMoney(subtotal * money.vatRate / 100, money);
+        return { ...row, subtotal, vat, total: roundMoney(subtotal + vat, money) };
+    });
+    return { month, vatRate: money.vatRate, customers };
+};
+
+// One customer's statement for the month: a line per shipment and totals with VAT at the current rate.
+// Customer names are matched without regard to case. Returns null when the customer has no shipments that month.
+const getStatement = async (customer, month) => {
+    const lines = await dbAll(`SELECT * FROM (${STATEMENT_SHIPMENTS_SQL}) WHERE customer = ? COLLATE NOCASE ORDER BY createdAt, trackingNumber`, [...getMonthRange(month), String(customer).trim()]);
+    if (lines.length === 0) return null;
+    const money = await getMoneySettings();
+    const totals = calculateTotals(lines.map(line => ({ quantity: 1, price: line.courier_charge })), money.vatRate, money);
+    return {
+        customer: lines[0].customer,
+        month,
+        vatRate: money.vatRate,
+        lines: lines.map(({ customer: lineCustomer, ...line }) => line),
+        unpriced: lines.filter(line => line.courier_charge === null).length,
+        ...totals,
+    };
+};
+
+// Without ?customer= this lists the month's customers and their totals.
+apiRouter.get('/statements', async (req, res) => {
+    const { customer, month } = req.query;
+    if (!isValidMonth(month)) return res.status(400).json({ message: 'Month must be in YYYY-MM format.' });
     try {
-        const { brand, product, color, description } = req.body;
-        const result = await dbRun('INSERT INTO elements (brand, product, color, description) VALUES (?, ?, ?, ?)', [brand, product, color, description]);
-        res.status(201).json({ message: 'Element added successfully!', id: result.lastID });
+        if (!customer || !String(customer).trim()) return res.status(200).json(await getStatementSummary(month));
+        const statement = await getStatement(customer, month);
+        if (!statement) return res.status(404).json({ message: `No shipments for ${customer} in ${month}.` });
+        res.status(200).json(statement);
     } catch (error) {
-        res.status(500).json({ message: 'Error creating element.' });
+        console.error('Error fetching statement:', error.message);
+        res.status(500).json({ message: 'Error fetching statement.' });
     }
 });
-apiRouter.put('/elements/:id', async (req, res) => {
+
+// --- Reports ---
+// Every report takes ?from=&to= (on the shipment's creation date, like the lists) and ?format=csv for a download.
+const REPORT_PERIODS = {
+    day: "substr(s.createdAt, 1, 10)",
+    // Weeks run Monday to Sunday and are labelled by their Monday
+    week: "date(s.createdAt, 'weekday 0', '-6 days')",
+    month: "substr(s.createdAt, 1, 7)",
+};
+const REPORT_SPEND_GROUPS = {
+    job: "COALESCE(NULLIF(s.associatedJobNo, ''), '(no job)')",
+    customer: SHIPMENT_CUSTOMER_SQL,
+    // The account executive of the Chase job; shipments without a job (or whose job names no AE) share one bucket
+    ae: `COALESCE((SELECT cj.accountExecutive FROM chaseJobs cj WHERE cj.jobNo = s.associatedJobNo AND TRIM(COALESCE(cj.accountExecutive, '')) NOT IN ('', 'N/A') ORDER BY cj.id LIMIT 1), '(no AE)')`,
+};
+const DEFAULT_ON_TIME_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Returns { where, params, from, to } for the report's date range, or { error }.
+const getReportRange = (query) => {
+    const filters = buildListFilters({ from: query.from, to: query.to }, SHIPMENT_LIST);
+    if (filters.error) return filters;
+    if (query.format && !['json', 'csv'].includes(query.format)) return { error: 'Format must be json or csv.' };
+    return { where: filters.where, params: filters.params, from: query.from || null, to: query.to || null };
+};
+
+const sendReport = (req, res, name, report, columns) => {
+    const dates = [report.from && `from-${report.from}`, report.to && `to-${report.to}`].filter(Boolean).map(part => `-${part.replace(/[^0-9a-z-]+/gi, '')}`).join('');
+    if (req.query.format === 'csv') return sendCsv(res, `${name}${dates}.csv`, report.rows, columns);
+    res.status(200).json(report);
+};
+
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+// Shipments created per day, week or month, with how many of them are now delivered or delayed.
+apiRouter.get('/reports/volumes', async (req, res) => {
+    const period = req.query.period || 'day';
+    if (!REPORT_PERIODS[period]) return res.status(400).json({ message: `Period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}.` });
+    const range = getReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
     try {
-        const { id } = req.params;
-        const { brand, product, color, description } = req.body;
-        const result = await dbRun(`UPDATE elements SET brand = ?, product = ?, color = ?, description = ? WHERE id = ?`, [brand, product, color, description, id]);
-        if (result.changes === 0) return res.status(404).json({ message: 'Element not found.' });
-        res.status(200).json({ message: 'Element updated successfully!' });
+        const rows = await dbAll(`
+            SELECT ${REPORT_PERIODS[period]} AS period, COUNT(*) AS shipments,
+                   SUM(s.status = 'Delivered') AS delivered, SUM(s.status = 'Delayed') AS delayed
+            FROM shipments s ${range.where} GROUP BY period ORDER BY period`, range.params);
+        sendReport(req, res, `shipment-volumes-${period}`, { from: range.from, to: range.to, period, rows }, ['period', 'shipments', 'delivered', 'delayed']);
     } catch (error) {
-        res.status(500).json({ message: 'Error updating element.' });
+        console.error('Error building volume report:', error.message);
+        res.status(500).json({ message: 'Error building volume report.' });
     }
 });
-apiRouter.delete('/elements/:id', async (req, res) => {
+
+// Hours from the first Pending event to the first Delivered event. Shipments recorded before status history
+// was kept have no Pending event and are left out. ?targetHours= sets what counts as on time.
+apiRouter.get('/reports/delivery-times', async (req, res) => {
+    const targetHours = req.query.targetHours !== undefined ? Number(req.query.targetHours) : DEFAULT_ON_TIME_HOURS;
+    if (!(targetHours > 0)) return res.status(400).json({ message: 'targetHours must be a positive number.' });
+    const range = getReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
     try {
-        const { id } = req.params;
-        const result = await dbRun('DELETE FROM elements WHERE id = ?', [id]);
-        if (result.changes === 0) return res.status(404).json({ message: 'Element not found.' });
-        res.status(200).json({ message: 'Element deleted successfully!' });
+        const shipments = await dbAll(`
+            SELECT * FROM (
+                SELECT s.trackingNumber, s.serviceLevel,
+                       (SELECT MIN(e.createdAt) FROM shipment_status_events e WHERE e.shipment_id = s.id AND e.status = 'Pending') AS pendingAt,
+                       (SELECT MIN(e.createdAt) FROM shipment_status_events e WHERE e.shipment_id = s.id AND e.status = 'Delivered') AS deliveredAt
+                FROM shipments s ${range.where}
+            ) WHERE pendingAt IS NOT NULL AND deliveredAt IS NOT NULL ORDER BY deliveredAt`, range.params);
+        const rows = shipments.map(shipment => {
+            const hours = (new Date(shipment.deliveredAt) - new Date(shipment.pendingAt)) / HOUR_MS;
+            return { ...shipment, hours: roundHours(hours), onTime: hours <= targetHours };
+        });
+        const hours = rows.map(row => row.hours).sort((a, b) => a - b);
+        const middle = Math.floor(hours.length / 2);
+        const onTime = rows.filter(row => row.onTime).length;
+        const summary = {
+            delivered: rows.length,
+            averageHours: rows.length ? roundHours(hours.reduce((sum, h) => sum + h, 0) / hours.length) : null,
+            medianHours: rows.length ? (hours.length % 2 ? hours[middle] : roundHours((hours[middle - 1] + hours[middle]) / 2)) : null,
+            targetHours,
+            onTime,
+            onTimeRate: rows.length ? Math.round(onTime / rows.length * 1000) / 10 : null,
+        };
+        sendReport(req, res, 'delivery-times', { from: range.from, to: range.to, summary, rows }, ['trackingNumber', 'serviceLevel', 'pendingAt', 'deliveredAt', 'hours', 'onTime']);
     } catch (error) {
-        res.status(500).json({ message: 'Error deleting element.' });
+        console.error('Error building delivery time report:', error.message);
+        res.status(500).json({ message: 'Error building delivery time report.' });
     }
 });
-apiRouter.post('/settings/waybill', async (req, res) => {
+
+// Shipments that were Delayed at any point, per destination town (see extractTown), most delays first.
+apiRouter.get('/reports/delays', async (req, res) => {
+    const range = getReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
     try {
-        const settingsData = req.body;
-        await dbRun('BEGIN TRANSACTION');
-        for (const [key, value] of Object.entries(settingsData)) {
-            await dbRun("INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)", [key, value]);
+        const shipments = await dbAll(`
+            SELECT s.recipientAddress,
+                   EXISTS (SELECT 1 FROM shipment_status_events e WHERE e.shipment_id = s.id AND e.status = 'Delayed') AS wasDelayed
+            FROM shipments s ${range.where}`, range.params);
+        const destinations = new Map();
+        for (const shipment of shipments) {
+            const town = extractTown(shipment.recipientAddress) || '(unknown)';
+            const entry = destinations.get(town.toLowerCase()) || { destination: town, shipments: 0, delayed: 0 };
+            entry.shipments += 1;
+            if (shipment.wasDelayed) entry.delayed += 1;
+            destinations.set(town.toLowerCase(), entry);
         }
-        await dbRun('COMMIT');
-        res.status(200).json({ message: 'Settings saved successfully!' });
+        const rows = [...destinations.values()]
+            .filter(entry => entry.delayed > 0)
+            .map(entry => ({ ...entry, delayRate: Math.round(entry.delayed / entry.shipments * 1000) / 10 }))
+            .sort((a, b) => b.delayed - a.delayed || a.destination.localeCompare(b.destination));
+        sendReport(req, res, 'delays-by-destination', { from: range.from, to: range.to, rows }, ['destination', 'delayed', 'shipments', 'delayRate']);
     } catch (error) {
-        await dbRun('ROLLBACK');
-        res.status(500).json({ message: 'Error saving settings.' });
+        console.error('Error building delay report:', error.message);
+        res.status(500).json({ message: 'Error building delay report.' });
     }
 });
-apiRouter.post('/chase/import', async (req, res) => {
-    const { username, password } = req.body;
-    if (!username || !password) return res.status(400).json({ message: 'Username and password are required for import.' });
-    const result = await importAllChaseData(username, password);
-    res.status(result.success ? 200 : 500).json({ message: result.message });
-});
 
-// --- Delivery Notes CRUD ---
-apiRouter.post('/delivery-notes', async (req, res) => {
-    const { clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, items } = req.body;
-
-    if (!clientName || !date || !address || !items || !Array.isArray(items)) {
-        return res.status(400).json({ message: 'Missing required fields.' });
+// Courier charges (excluding VAT) per job, customer or account executive, highest spend first.
+apiRouter.get('/reports/spend', async (req, res) => {
+    const groupBy = req.query.groupBy || 'customer';
+    if (!REPORT_SPEND_GROUPS[groupBy]) return res.status(400).json({ message: `groupBy must be one of: ${Object.keys(REPORT_SPEND_GROUPS).join(', ')}.` });
+    const range = getReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    try {
+        const money = await getMoneySettings();
+        const rows = await dbAll(`
+            SELECT MIN(name) AS name, COUNT(*) AS shipments, SUM(courier_charge IS NULL) AS unpriced, TOTAL(courier_charge) AS spend
+            FROM (SELECT ${REPORT_SPEND_GROUPS[groupBy]} AS name, s.courier_charge FROM shipments s ${range.where})
+            GROUP BY name COLLATE NOCASE ORDER BY spend DESC, name COLLATE NOCASE`, range.params);
+        const report = { from: range.from, to: range.to, groupBy, rows: rows.map(row => ({ ...row, spend: roundMoney(row.spend, money) })) };
+        report.total = roundMoney(report.rows.reduce((sum, row) => sum + row.spend, 0), money);
+        sendReport(req, res, `spend-by-${groupBy}`, report, ['name', 'shipments', 'unpriced', 'spend']);
+    } catch (error) {
+        console.error('Error building spend report:', error.message);
+        res.status(500).json({ message: 'Error building spend report.' });
     }
+});
 
-    try {
-        await dbRun('BEGIN TRANSACTION');
-        
-        const subtotal = items.reduce((acc, item) => acc + (parseFloat(item.quantity) * parseFloat(item.price)), 0);
-        const vat = subtotal * 0.15;
-        const total = subtotal + vat;
+// --- Exports (CSV / XLSX) ---
+// Each export runs its list view's query (same filters, search and sort) and writes one row per child record,
+// repeating the parent's columns; parents without children get a single row. Rows are fetched and written in
+// batches so a large export never sits in memory.
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_BATCH_SIZE = 500;
+const EXPORTS = {
+    shipments: {
+        list: SHIPMENT_LIST,
+        sheetName: 'Shipments',
+        columns: ['trackingNumber', 'createdAt', 'status', 'senderName', 'senderContact', 'senderAddress', 'recipientName', 'recipientContact', 'recipientAddress', 'associatedJobNo', 'ceNumber', 'serviceLevel', 'courier_charge', 'deliveryNoteNumber'],
+        children: {
+            sql: 'SELECT * FROM shipment_elements WHERE shipment_id IN',
+            parentKey: 'shipment_id',
+            // [export column, child field]
+            columns: [['elementDescription', 'description'], ['elementQuantity', 'quantity'], ['elementWeightKg', 'weightKg'], ['elementLengthCm', 'lengthCm'], ['elementWidthCm', 'widthCm'], ['elementHeightCm', 'heightCm']],
+        },
+    },
+    'delivery-notes': {
+        list: DELIVERY_NOTE_LIST,
+        sheetName: 'Delivery Notes',
+        columns: ['deliveryNoteNumber', 'version', 'date', 'clientName', 'address', 'contactPerson', 'contactNumber', 'jobNo', 'ceNumber', 'trackingNumber', 'vatRate', 'subtotal', 'vat', 'total', 'createdAt'],
+        children: {
+            sql: 'SELECT * FROM delivery_note_items WHERE delivery_note_id IN',
+            parentKey: 'delivery_note_id',
+            columns: [['itemQuantity', 'quantity'], ['itemDescription', 'description'], ['itemPrice', 'price'], ['itemVatExempt', 'vatExempt']],
+        },
+    },
+    'chase-jobs': {
+        list: CHASE_JOB_LIST,
+        sheetName: 'Chase Jobs',
+        columns: ['jobNo', 'customerName', 'productName', 'accountExecutive', 'description', 'status', 'source', 'ceNumbers', 'chaseJobId', 'createdAt'],
+    },
+};
 
-        const counter = await dbGet("SELECT currentNumber FROM counters WHERE name = 'deliveryNoteCounter'");
-        const newCount = (counter ? counter.currentNumber : 1000) + 1;
-        const deliveryNoteNumber = `DN${newCount}`;
-        
-        const noteResult = await dbRun(
-            `INSERT INTO delivery_notes (deliveryNoteNumber, clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, subtotal, vat, total, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [deliveryNoteNumber, clientName, date, address, contactPerson, contactNumber, jobNo, ceNumber, subtotal, vat, total, new Date().toISOString()]
-        );
-        const noteId = noteResult.lastID;
+// Resolves once the response can take more data.
+const writeChunk = (res, chunk) => new Promise(resolve => (res.write(chunk) ? resolve() : res.once('drain', resolve)));
 
-        for (const item of items) {
-            // Allow items with a price of 0
-            if (item.description && item.quantity && typeof item.price === 'number') {
-                 await dbRun('INSERT INTO delivery_note_items (delivery_note_id, quantity, description, price) VALUES (?, ?, ?, ?)', [noteId, item.quantity, item.description, item.price]);
-            }
+// Calls onRows with each batch of flattened export rows, in list order.
+const forEachExportBatch = async (definition, filters, onRows) => {
+    const { list, children } = definition;
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const parents = await dbAll(`SELECT ${list.select} FROM ${list.from} ${filters.where} ${filters.orderBy} LIMIT ? OFFSET ?`, [...filters.params, EXPORT_BATCH_SIZE, offset]);
+        if (parents.length === 0) break;
+        const childRows = children ? await dbAll(`${children.sql} (${parents.map(() => '?').join(', ')}) ORDER BY id`, parents.map(parent => parent.id)) : [];
+        const rows = [];
+        for (const parent of parents) {
+            if (parent.ceNumbers) parent.ceNumbers = parent.ceNumbers.split(',').join(', ');
+            const own = childRows.filter(child => child[children.parentKey] === parent.id);
+            if (own.length === 0) rows.push(parent);
+            for (const child of own) rows.push({ ...parent, ...Object.fromEntries(children.columns.map(([column, field]) => [column, child[field]])) });
         }
-        
-        await dbRun("UPDATE counters SET currentNumber = ? WHERE name = 'deliveryNoteCounter'", [newCount]);
-        await dbRun('COMMIT');
-        res.status(201).json({ message: 'Delivery Note created successfully!', id: noteId, deliveryNoteNumber });
-    } catch (error) {
-        await dbRun('ROLLBACK');
-        console.error("Error creating delivery note:", error);
-        res.status(500).json({ message: 'Error creating delivery note record.', error: error.message });
+        await onRows(rows);
+        if (parents.length < EXPORT_BATCH_SIZE) break;
     }
-});
+};
 
-apiRouter.delete('/delivery-notes/:id', async (req, res) => {
+// GET /export/shipments|delivery-notes|chase-jobs?format=csv|xlsx plus any of the list view's filters
+apiRouter.get('/export/:type', async (req, res) => {
+    const definition = EXPORTS[req.params.type];
+    if (!definition) return res.status(404).json({ message: `Unknown export. Must be one of: ${Object.keys(EXPORTS).join(', ')}.` });
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+    const filters = buildListFilters(req.query, definition.list);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+    const columns = [...definition.columns, ...(definition.children ? definition.children.columns.map(([column]) => column) : [])];
+    const filename = `${req.params.type}-${new Date().toISOString().slice(0, 10)}.${format}`;
     try {
-        const { id } = req.params;
-        const result = await dbRun('DELETE FROM delivery_notes WHERE id = ?', [id]);
-        if (result.changes === 0) return res.status(404).json({ message: 'Delivery note not found.' });
-        res.status(200).json({ message: 'Delivery note deleted successfully!' });
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            await writeChunk(res, CSV_BOM + toCsvLine(columns));
+            await forEachExportBatch(definition, filters, rows => writeChunk(res, rows.map(row => toCsvLine(columns.map(column => row[column]))).join('')));
+            return res.end();
+        }
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet(definition.sheetName);
+        sheet.columns = columns.map(column => ({ header: column, key: column, width: 18 }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+        await forEachExportBatch(definition, filters, rows => {
+            for (const row of rows) sheet.addRow(row).commit();
+        });
+        sheet.commit();
+        await workbook.commit();
     } catch (error) {
-        res.status(500).json({ message: 'Error deleting delivery note.' });
+        console.error(`Error exporting ${req.params.type}:`, error.message);
+        // Once rows have been sent the status can no longer change; cutting the download short marks it as failed.
+        if (res.headersSent) return res.destroy(error);
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ message: 'Error exporting data.' });
     }
 });
 
 // --- PDF Generation Routes ---
+// Also used to attach waybills to notification emails.
+const renderWaybillPdf = async (shipment, baseUrl) => {
+    const pdfDoc = await PDFDocument.create();
+    await drawWaybill(await createWaybillContext(pdfDoc, baseUrl), shipment);
+    return pdfDoc.save();
+};
+
 apiRouter.get('/shipments/:trackingNumber/waybill', async (req, res) => {
     const { trackingNumber } = req.params;
     try {
         const shipment = await dbGet('SELECT * FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
         if (!shipment) return res.status(404).send('Shipment not found');
 
-        const elements = await dbAll('SELECT * FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
-        const settingsRows = await dbAll('SELECT key, value FROM settings');
-        const settings = settingsRows.reduce((acc, row) => ({ ...acc, [row.key]: row.value }), {});
-        const jobDetails = shipment.associatedJobNo ? await dbGet('SELECT * FROM chaseJobs WHERE jobNo = ?', [shipment.associatedJobNo]) : null;
-        
-        const pdfDoc = await PDFDocument.create();
-        let currentPage = pdfDoc.addPage();
-        const { width, height } = currentPage.getSize();
-        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-        const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-        const padding = 40;
-        let y = height - padding;
+        const pdfBytes = await renderWaybillPdf(shipment, await getPublicBaseUrl());
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename=waybill-${trackingNumber}.pdf`);
+        res.send(Buffer.from(pdfBytes));
 
-        const wrapText = (text, f, fontSize, maxWidth) => {
-            // Sanitize the text to remove newline characters which can crash the PDF generation
-            const sanitizedText = text ? String(text).replace(/(\r\n|\n|\r)/gm, " ") : "";
-            const words = sanitizedText.split(' ');
-            let lines = [];
-            let currentLine = '';
-            for (const word of words) {
-                const testLine = currentLine + (currentLine ? ' ' : '') + word;
-                const testWidth = f.widthOfTextAtSize(testLine, fontSize);
-                if (testWidth > maxWidth) {
-                    lines.push(currentLine);
-                    currentLine = word;
-                } else {
-                    currentLine = testLine;
-                }
-            }
-            lines.push(currentLine);
-            return lines;
-        };
+    } catch (error) {
+        console.error('Error generating waybill:', error);
+        res.status(500).send('Could not generate waybill');
+    }
+});
 
-        let logoBottomY = y;
-        try {
-            const logoPath = path.resolve(process.cwd(), 'EB logo.jpg');
-            if (fs.existsSync(logoPath)) {
-                const imageBytes = fs.readFileSync(logoPath);
-                const logoImage = await pdfDoc.embedJpg(imageBytes);
-                const logoDims = logoImage.scale(0.25);
-                currentPage.drawImage(logoImage, { x: padding, y: y - logoDims.height + 20, width: logoDims.width, height: logoDims.height });
-                logoBottomY = y - logoDims.height;
-            } else {
-                console.log(`Logo not found at path: ${logoPath}`);
-            }
-        } catch (e) { console.error("Could not embed logo from file:", e); }
+// Prints several waybills into one PDF, either for explicit tracking numbers or for
+// everything matching the shipment list filters (e.g. { status: 'Pending', from: '2025-10-20', to: '2025-10-20' }).
+const WAYBILL_BATCH_MAX = 200;
 
-        const addressLines = ['9 Zeiss Road, Kimbuilt Industrial Park', 'Unit C3, Honeydew', '2040'];
-        let addressY = y;
-        for (const line of addressLines) {
-            const textWidth = font.widthOfTextAtSize(line, 10);
-            currentPage.drawText(line, { x: width - padding - textWidth, y: addressY, font, size: 10, color: rgb(0.2, 0.2, 0.2) });
-            addressY -= 15;
+apiRouter.post('/waybills/batch', async (req, res) => {
+    const { trackingNumbers, filter } = req.body;
+    try {
+        let shipments;
+        if (Array.isArray(trackingNumbers) && trackingNumbers.length > 0) {
+            const numbers = [...new Set(trackingNumbers.map(n => String(n).trim()).filter(Boolean))];
+            if (numbers.length > WAYBILL_BATCH_MAX) return res.status(400).json({ message: `A batch can hold at most ${WAYBILL_BATCH_MAX} waybills.` });
+            const rows = await dbAll(`SELECT * FROM shipments WHERE trackingNumber IN (${numbers.map(() => '?').join(', ')})`, numbers);
+            const byTrackingNumber = new Map(rows.map(row => [row.trackingNumber, row]));
+            const missing = numbers.filter(n => !byTrackingNumber.has(n));
+            if (missing.length > 0) return res.status(404).json({ message: `Shipments not found: ${missing.join(', ')}`, missing });
+            shipments = numbers.map(n => byTrackingNumber.get(n));
+        } else if (filter && typeof filter === 'object') {
+            // Oldest first unless the filter asks otherwise, so the stack comes out in the order it was booked.
+            const filters = buildListFilters({ order: 'asc', ...filter }, SHIPMENT_LIST);
+            if (filters.error) return res.status(400).json({ message: filters.error });
+            shipments = await dbAll(`SELECT ${SHIPMENT_LIST.select} FROM ${SHIPMENT_LIST.from} ${filters.where} ${filters.orderBy} LIMIT ?`, [...filters.params, WAYBILL_BATCH_MAX + 1]);
+            if (shipments.length > WAYBILL_BATCH_MAX) return res.status(400).json({ message: `The filter matches more than ${WAYBILL_BATCH_MAX} shipments. Please narrow it down.` });
+            if (shipments.length === 0) return res.status(404).json({ message: 'No shipments match the filter.' });
+        } else {
+            return res.status(400).json({ message: 'Provide either a list of trackingNumbers or a filter.' });
         }
 
-        y = Math.min(logoBottomY, addressY) - 20;
+        const pdfDoc = await PDFDocument.create();
+        const context = await createWaybillContext(pdfDoc, await getPublicBaseUrl());
+        for (const shipment of shipments) await drawWaybill(context, shipment);
 
-        const waybillTitle = 'Courier Tracking Document';
-        const waybillTitleWidth = boldFont.widthOfTextAtSize(waybillTitle, 24);
-        currentPage.drawText(waybillTitle, { x: (width - waybillTitleWidth) / 2, y, font: boldFont, size: 24 });
-        y -= 30;
-        
-        let headerBoxHeight = 70;
-        if(shipment.courier_charge) headerBoxHeight += 20;
-
-        currentPage.drawRectangle({ x: padding, y: y - headerBoxHeight, width: width - padding * 2, height: headerBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
-        currentPage.drawText(`TRACKING #: ${shipment.trackingNumber}`, { x: padding + 10, y: y - 20, font: boldFont, size: 14, color: rgb(0.95, 0.1, 0.1) });
-        if (shipment.associatedJobNo) currentPage.drawText(`JOB #: ${shipment.associatedJobNo}`, { x: padding + 10, y: y - 40, font: boldFont, size: 12 });
-        if (shipment.ceNumber) currentPage.drawText(`CE #: ${shipment.ceNumber}`, { x: padding + 10, y: y - 60, font: boldFont, size: 12 });
-        if (shipment.courier_charge) {
-            currentPage.drawText(`Courier Charge: R ${parseFloat(shipment.courier_charge).toFixed(2)}`, { x: padding + 10, y: y - 80, font: boldFont, size: 10 });
-        }
-        y -= (headerBoxHeight + 10);
-
-        const addressBoxHeight = 110;
-        currentPage.drawRectangle({ x: padding, y: y - addressBoxHeight, width: width - padding * 2, height: addressBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
-        currentPage.drawLine({ start: { x: width / 2, y: y }, end: { x: width / 2, y: y - addressBoxHeight }, thickness: 1.5, color: rgb(0, 0, 0) });
-
-        let textY = y - 20;
-        currentPage.drawText('SENDER (CLIENT):', { x: padding + 10, y: textY, font: boldFont, size: 12 });
-        textY -= 20;
-        currentPage.drawText(`Name: ${shipment.senderName || 'N/A'}`, { x: padding + 10, y: textY, font, size: 10 });
-        textY -= 15;
-        currentPage.drawText(`Contact: ${shipment.senderContact || ''}`, { x: padding + 10, y: textY, font, size: 10 });
-        textY -= 15;
-        const senderAddressLines = wrapText(shipment.senderAddress || 'N/A', font, 10, (width / 2) - padding - 20);
-        senderAddressLines.forEach(line => { currentPage.drawText(line, { x: padding + 10, y: textY, font, size: 10 }); textY -= 15; });
-
-        textY = y - 20;
-        currentPage.drawText('RECIPIENT:', { x: width / 2 + 10, y: textY, font: boldFont, size: 12 });
-        textY -= 20;
-        currentPage.drawText(`Name: ${shipment.recipientName || 'N/A'}`, { x: width / 2 + 10, y: textY, font, size: 10 });
-        textY -= 15;
-        currentPage.drawText(`Contact: ${shipment.recipientContact || ''}`, { x: width / 2 + 10, y: textY, font, size: 10 });
-        textY -= 15;
-        const recipientAddressLines = wrapText(shipment.recipientAddress || 'N/A', font, 10, (width / 2) - padding - 20);
-        recipientAddressLines.forEach(line => { currentPage.drawText(line, { x: width / 2 + 10, y: textY, font, size: 10 }); textY -= 15; });
-        y -= addressBoxHeight + 10;
-        
-        if (jobDetails) {
-            const descriptionLines = wrapText(jobDetails.description || 'N/A', font, 10, width - padding * 2 - 20);
-            const projectBoxHeight = 60 + (descriptionLines.length * 15);
-            currentPage.drawRectangle({ x: padding, y: y - projectBoxHeight, width: width - padding * 2, height: projectBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
-            currentPage.drawText('PROJECT DETAILS:', { x: padding + 10, y: y - 20, font: boldFont, size: 12 });
-            currentPage.drawText(`Client: ${jobDetails.customerName || 'N/A'}`, { x: padding + 10, y: y - 40, font, size: 10 });
-            currentPage.drawText(`Product: ${jobDetails.productName || 'N/A'}`, { x: padding + 10, y: y - 55, font, size: 10 });
-            let descY = y - 70;
-            descriptionLines.forEach(line => { currentPage.drawText(line, { x: padding + 10, y: descY, font, size: 10 }); descY -= 15; });
-            y -= projectBoxHeight + 10;
-        }
-
-        if (elements && elements.length > 0) {
-            const bottomMargin = padding + 150;
-            if (y < bottomMargin + 40) { currentPage = pdfDoc.addPage(); y = currentPage.getSize().height - padding; }
-            currentPage.drawText('ELEMENTS / ITEMS:', { x: padding + 10, y: y - 20, font: boldFont, size: 12 });
-            y -= 40;
-            for (const item of elements) {
-                const descriptionLines = wrapText(item.description || 'N/A', font, 10, width - padding * 2 - 180);
-                const itemHeight = Math.max(30, (descriptionLines.length * 15) + 15);
-                if (y - itemHeight < bottomMargin) { currentPage = pdfDoc.addPage(); y = currentPage.getSize().height - padding; }
-                let currentItemY = y - 10;
-                descriptionLines.forEach(line => { currentPage.drawText(line, { x: padding + 20, y: currentItemY, font, size: 10 }); currentItemY -= 15; });
-                currentPage.drawText(`Qty: ${item.quantity || 'N/A'}`, { x: width - padding - 150, y: y - 10, font, size: 10 });
-                currentPage.drawRectangle({x: width - padding - 100, y: y - 12, width: 15, height: 15, borderColor: rgb(0,0,0), borderWidth: 1});
-                currentPage.drawText('Packed', { x: width - padding - 80, y: y - 10, font, size: 10 });
-                y -= itemHeight;
-            }
-        }
-        
-        const pages = pdfDoc.getPages();
-        const creationDate = shipment.createdAt ? new Date(shipment.createdAt).toLocaleString('en-ZA') : 'N/A';
-        for (let i = 0; i < pages.length; i++) {
-            const page = pages[i];
-            const { width: pageWidth } = page.getSize();
-            if (i === pages.length - 1) {
-                const signatureY = padding + 80;
-                page.drawRectangle({ x: padding, y: signatureY - 60, width: pageWidth - padding * 2, height: 60, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
-                page.drawLine({ start: { x: padding, y: signatureY - 20 }, end: { x: pageWidth - padding, y: signatureY - 20 }, thickness: 0.5, color: rgb(0.75, 0.75, 0.75) });
-                page.drawText('Sender Signature:', { x: padding + 10, y: signatureY - 15, font, size: 10 });
-                page.drawText('Recipient Signature:', { x: width / 2 + 10, y: signatureY - 15, font, size: 10 });
-            }
-            const disclaimerY = padding;
-            if (settings.disclaimer) page.drawText(settings.disclaimer, { x: padding, y: disclaimerY, font, size: 8, color: rgb(0.5, 0.5, 0.5) });
-            const dateWidth = font.widthOfTextAtSize(creationDate, 10);
-            page.drawText(creationDate, { x: pageWidth - padding - dateWidth, y: disclaimerY, font, size: 10, color: rgb(0.5, 0.5, 0.5) });
-            const pageNumberText = `Page ${i + 1} of ${pages.length}`;
-            const pageNumberWidth = font.widthOfTextAtSize(pageNumberText, 10);
-            page.drawText(pageNumberText, { x: (pageWidth - pageNumberWidth) / 2, y: disclaimerY, font, size: 10, color: rgb(0.5, 0.5, 0.5) });
-        }
-        
         const pdfBytes = await pdfDoc.save();
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename=waybill-${trackingNumber}.pdf`);
+        res.setHeader('Content-Disposition', `inline; filename=waybills-${new Date().toISOString().slice(0, 10)}.pdf`);
+        res.setHeader('X-Waybill-Count', shipments.length);
         res.send(Buffer.from(pdfBytes));
-
     } catch (error) {
-        console.error('Error generating waybill:', error);
-        res.status(500).send('Could not generate waybill');
+        console.error('Error generating batch waybills:', error);
+        res.status(500).json({ message: 'Could not generate waybills.' });
     }
 });
 
+// ?version=N renders an earlier version of the note
 apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
     const { id } = req.params;
     try {
-        const note = await dbGet('SELECT * FROM delivery_notes WHERE id = ?', [id]);
-        if (!note) return res.status(404).send('Delivery note not found');
-
-        const items = await dbAll('SELECT * FROM delivery_note_items WHERE delivery_note_id = ?', [id]);
+        const result = await getDeliveryNoteVersion(id, req.query.version);
+        if (!result) return res.status(404).send(req.query.version ? 'Delivery note version not found' : 'Delivery note not found');
+        const { note, items } = result;
+        const money = await getMoneySettings();
+        // Notes made from a shipment track that shipment; for other notes the QR code follows the latest shipment booked for the same CE number.
+        const linkedShipment = note.shipment_id ? await dbGet('SELECT trackingNumber FROM shipments WHERE id = ?', [note.shipment_id]) : null;
+        const shipment = linkedShipment || (note.ceNumber ? await dbGet('SELECT trackingNumber FROM shipments WHERE ceNumber = ? ORDER BY id DESC LIMIT 1', [note.ceNumber]) : null);
         
         const pdfDoc = await PDFDocument.create();
         const page = pdfDoc.addPage();
@@ -761,7 +3644,7 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
         const headerWidth = boldFont.widthOfTextAtSize(headerText, 20);
         page.drawText(headerText, { x: width - padding - headerWidth, y: rightSideY, font: boldFont, size: 20 });
         rightSideY -= 30;
-        const dnText = `DN #: ${note.deliveryNoteNumber}`;
+        const dnText = `DN #: ${note.deliveryNoteNumber}${note.version > 1 ? ` (Rev. ${note.version})` : ''}`;
         const dnWidth = font.widthOfTextAtSize(dnText, 12);
         page.drawText(dnText, { x: width - padding - dnWidth, y: rightSideY, font: font, size: 12 });
         rightSideY -= 15;
@@ -770,8 +3653,7 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
         page.drawText(dateText, { x: width - padding - dateWidth, y: rightSideY, font: font, size: 12 });
         rightSideY -= 25; // More space
 
-        const companyAddressLines = ['9 Zeiss Road, Kimbuilt Industrial Park', 'Unit C3, Honeydew', '2040'];
-        for (const line of companyAddressLines) {
+        for (const line of COMPANY_ADDRESS_LINES) {
             const textWidth = font.widthOfTextAtSize(line, 10);
             page.drawText(line, { x: width - padding - textWidth, y: rightSideY, font: font, size: 10, color: rgb(0.2, 0.2, 0.2) });
             rightSideY -= 15;
@@ -796,10 +3678,24 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
         }
         if (note.jobNo) {
             page.drawText(`Job #: ${note.jobNo}`, { x: padding + 300, y: jobInfoY, font: boldFont, size: 10 });
+            jobInfoY -= 15;
+        }
+        if (linkedShipment) {
+            page.drawText(`Waybill #: ${linkedShipment.trackingNumber}`, { x: padding + 300, y: jobInfoY, font: boldFont, size: 10 });
         }
 
         y -= 40;
 
+        // Barcode of the DN number, plus a QR code for tracking the delivery when there is a shipment for it
+        await drawScanCodes(pdfDoc, page, {
+            barcodeText: note.deliveryNoteNumber,
+            qrText: shipment ? getPublicTrackingUrl(await getPublicBaseUrl(), shipment.trackingNumber) : null,
+            rightX: width - padding,
+            centerY: y - 30,
+            height: 60,
+        });
+        y -= 70;
+
         // Table Header
         page.drawLine({ start: { x: padding, y }, end: { x: width - padding, y }, thickness: 1.5 });
         y -= 15;
@@ -815,11 +3711,15 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
         items.forEach(item => {
             const itemTotal = (parseFloat(item.quantity) || 0) * (parseFloat(item.price) || 0);
             page.drawText(String(item.quantity), { x: padding + 5, y, font, size: 10 });
-            page.drawText(item.description, { x: padding + 80, y, font, size: 10 });
-            page.drawText(`R ${parseFloat(item.price).toFixed(2)}`, { x: width - padding - 150, y, font, size: 10 });
-            page.drawText(`R ${itemTotal.toFixed(2)}`, { x: width - padding - 60, y, font, size: 10 });
+            page.drawText(`${item.description}${item.vatExempt ? ' *' : ''}`, { x: padding + 80, y, font, size: 10 });
+            page.drawText(formatMoney(item.price, money), { x: width - padding - 150, y, font, size: 10 });
+            page.drawText(formatMoney(itemTotal, money), { x: width - padding - 60, y, font, size: 10 });
             y -= 20;
         });
+        if (items.some(item => item.vatExempt)) {
+            page.drawText('* VAT exempt', { x: padding + 80, y, font, size: 8, color: rgb(0.4, 0.4, 0.4) });
+            y -= 10;
+        }
 
         // Totals
         const totals_x = width - padding - 150;
@@ -827,15 +3727,15 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
         page.drawLine({ start: { x: totals_x - 20, y }, end: { x: width - padding, y }, thickness: 0.5 });
         y -= 20;
         page.drawText('Subtotal:', { x: totals_x, y, font: boldFont, size: 10 });
-        page.drawText(`R ${note.subtotal.toFixed(2)}`, { x: width - padding - 60, y, font, size: 10 });
+        page.drawText(formatMoney(note.subtotal, money), { x: width - padding - 60, y, font, size: 10 });
         y -= 20;
-        page.drawText('VAT (15%):', { x: totals_x, y, font: boldFont, size: 10 });
-        page.drawText(`R ${note.vat.toFixed(2)}`, { x: width - padding - 60, y, font, size: 10 });
+        page.drawText(`VAT (${note.vatRate}%):`, { x: totals_x, y, font: boldFont, size: 10 });
+        page.drawText(formatMoney(note.vat, money), { x: width - padding - 60, y, font, size: 10 });
         y -= 5;
         page.drawLine({ start: { x: totals_x - 20, y }, end: { x: width - padding, y }, thickness: 1.5 });
         y -= 15;
         page.drawText('TOTAL:', { x: totals_x, y, font: boldFont, size: 12 });
-        page.drawText(`R ${note.total.toFixed(2)}`, { x: width - padding - 60, y, font: boldFont, size: 12 });
+        page.drawText(formatMoney(note.total, money), { x: width - padding - 60, y, font: boldFont, size: 12 });
 
 
         // Footer/Signature
@@ -846,7 +3746,7 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
 
         const pdfBytes = await pdfDoc.save();
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename=DN-${note.deliveryNoteNumber}.pdf`);
+        res.setHeader('Content-Disposition', `inline; filename=DN-${note.deliveryNoteNumber}${note.version > 1 ? `-rev${note.version}` : ''}.pdf`);
         res.send(Buffer.from(pdfBytes));
 
     } catch (error) {
@@ -855,17 +3755,360 @@ apiRouter.get('/delivery-notes/:id/pdf', async (req, res) => {
     }
 });
 
+// Also used to attach the POD to the Delivered notification email.
+const renderPodPdf = async (shipment, pod) => {
+    const elements = await dbAll('SELECT * FROM shipment_elements WHERE shipment_id = ?', [shipment.id]);
+
+    const pdfDoc = await PDFDocument.create();
+    let page = pdfDoc.addPage();
+    const { width, height } = page.getSize();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const padding = 50;
+    const bottomMargin = padding + 20; // keeps clear of the footer
+    let y = height - padding;
+
+    // Logo top-left
+    let logoBottomY = y;
+    try {
+        const logoPath = path.resolve(process.cwd(), 'EB logo.jpg');
+        if (fs.existsSync(logoPath)) {
+            const logoImage = await pdfDoc.embedJpg(fs.readFileSync(logoPath));
+            const logoDims = logoImage.scale(0.25);
+            page.drawImage(logoImage, { x: padding, y: y - logoDims.height + 20, width: logoDims.width, height: logoDims.height });
+            logoBottomY = y - logoDims.height + 20;
+        }
+    } catch (e) { console.error("Could not embed logo from file:", e); }
+
+    // Header top-right
+    let rightSideY = y;
+    const headerText = 'PROOF OF DELIVERY';
+    page.drawText(headerText, { x: width - padding - boldFont.widthOfTextAtSize(headerText, 20), y: rightSideY, font: boldFont, size: 20 });
+    rightSideY -= 30;
+    for (const line of COMPANY_ADDRESS_LINES) {
+        page.drawText(line, { x: width - padding - font.widthOfTextAtSize(line, 10), y: rightSideY, font, size: 10, color: rgb(0.2, 0.2, 0.2) });
+        rightSideY -= 15;
+    }
+    y = Math.min(logoBottomY, rightSideY) - 20;
+
+    // Delivery details
+    const details = [
+        ['Tracking #:', shipment.trackingNumber],
+        ['Job #:', shipment.associatedJobNo],
+        ['CE #:', shipment.ceNumber],
+        ['Delivered To:', shipment.recipientName],
+        ['Address:', (shipment.recipientAddress || '').replace(/(\r\n|\n|\r)/gm, ' ')],
+        ['Received By:', pod.receiverName],
+        ['Delivered At:', new Date(pod.deliveredAt).toLocaleString('en-ZA')],
+    ].filter(([, value]) => value);
+    const detailsBoxHeight = details.length * 18 + 16;
+    page.drawRectangle({ x: padding, y: y - detailsBoxHeight, width: width - padding * 2, height: detailsBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
+    let detailY = y - 20;
+    for (const [label, value] of details) {
+        page.drawText(label, { x: padding + 10, y: detailY, font: boldFont, size: 10 });
+        page.drawText(String(value), { x: padding + 110, y: detailY, font, size: 10 });
+        detailY -= 18;
+    }
+    y -= detailsBoxHeight + 20;
+
+    // Items
+    if (elements.length > 0) {
+        page.drawText('ITEMS DELIVERED:', { x: padding, y, font: boldFont, size: 10 });
+        y -= 15;
+        for (const item of elements) {
+            if (y < bottomMargin) { page = pdfDoc.addPage(); y = height - padding; }
+            page.drawText(`${item.quantity || '-'} x ${String(item.description || '').replace(/(\r\n|\n|\r)/gm, ' ')}`, { x: padding + 10, y, font, size: 10 });
+            y -= 15;
+        }
+        y -= 10;
+    }
+
+    // Signature, on a new page when the items leave no room for it
+    const signatureBoxHeight = 100;
+    if (y - signatureBoxHeight < bottomMargin) { page = pdfDoc.addPage(); y = height - padding; }
+    page.drawRectangle({ x: padding, y: y - signatureBoxHeight, width: 260, height: signatureBoxHeight, borderColor: rgb(0, 0, 0), borderWidth: 1.5 });
+    page.drawText('Recipient Signature:', { x: padding + 10, y: y - 15, font, size: 10 });
+    const signatureImage = await embedImage(pdfDoc, decodeImage(pod.signature));
+    const signatureDims = fitImage(signatureImage, 240, signatureBoxHeight - 30);
+    page.drawImage(signatureImage, { x: padding + 10, y: y - signatureBoxHeight + 8, width: signatureDims.width, height: signatureDims.height });
+
+    // Optional photo beside the signature
+    const photo = decodeImage(pod.photo);
+    if (photo) {
+        const photoImage = await embedImage(pdfDoc, photo);
+        const photoDims = fitImage(photoImage, width - padding * 2 - 280, y - padding - 40);
+        page.drawText('Delivery Photo:', { x: padding + 280, y: y - 15, font, size: 10 });
+        page.drawImage(photoImage, { x: padding + 280, y: y - 25 - photoDims.height, width: photoDims.width, height: photoDims.height });
+    }
+
+    const footerText = `Captured by ${pod.capturedBy || 'N/A'} on ${new Date(pod.createdAt).toLocaleString('en-ZA')}`;
+    page.drawText(footerText, { x: padding, y: padding, font, size: 8, color: rgb(0.5, 0.5, 0.5) });
+
+    return pdfDoc.save();
+};
+
+apiRouter.get('/shipments/:trackingNumber/pod/pdf', async (req, res) => {
+    const { trackingNumber } = req.params;
+    try {
+        const shipment = await dbGet('SELECT * FROM shipments WHERE trackingNumber = ?', [trackingNumber]);
+        if (!shipment) return res.status(404).send('Shipment not found');
+        const pod = await dbGet('SELECT * FROM proof_of_delivery WHERE shipment_id = ?', [shipment.id]);
+        if (!pod) return res.status(404).send('No proof of delivery for this shipment');
+        const pdfBytes = await renderPodPdf(shipment, pod);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename=POD-${trackingNumber}.pdf`);
+        res.send(Buffer.from(pdfBytes));
+
+    } catch (error) {
+        console.error('Error generating POD PDF:', error);
+        res.status(500).send('Could not generate POD');
+    }
+});
+
+apiRouter.get('/manifests/:driverId/:date/pdf', async (req, res) => {
+    const { driverId, date } = req.params;
+    if (!isValidDay(date)) return res.status(400).send('Date must be in YYYY-MM-DD format');
+    try {
+        const manifest = await getManifest(driverId, date);
+        if (!manifest) return res.status(404).send('Driver not found');
+
+        const pdfDoc = await PDFDocument.create();
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        // Landscape A4 so the address, elements and signature columns fit side by side
+        const pageSize = [841.89, 595.28];
+        const padding = 40;
+        const [width, height] = pageSize;
+        const columns = [
+            { title: '#', x: padding, width: 25 },
+            { title: 'TRACKING #', x: padding + 25, width: 75 },
+            { title: 'RECIPIENT', x: padding + 100, width: 130 },
+            { title: 'ADDRESS', x: padding + 230, width: 170 },
+            { title: 'ELEMENTS', x: padding + 400, width: 180 },
+            { title: 'RECEIVED BY / SIGNATURE', x: padding + 580, width: width - padding * 2 - 580 },
+        ];
+        const cellLines = (text, column, f = font) => {
+            const lines = wrapText(text, f, 9, column.width - 8).filter(Boolean);
+            return lines.length > 0 ? lines : [''];
+        };
+
+        let page;
+        let y;
+        const startPage = () => {
+            page = pdfDoc.addPage(pageSize);
+            y = height - padding;
+            page.drawText('DRIVER MANIFEST', { x: padding, y, font: boldFont, size: 18 });
+            const dateText = new Date(`${manifest.date}T00:00:00`).toLocaleDateString('en-ZA', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            page.drawText(dateText, { x: width - padding - font.widthOfTextAtSize(dateText, 12), y, font, size: 12 });
+            y -= 20;
+            const driverText = `Driver: ${manifest.driver.name}${manifest.driver.phone ? ` (${manifest.driver.phone})` : ''}`;
+            page.drawText(driverText, { x: padding, y, font, size: 11 });
+            if (manifest.vehicle) {
+                const vehicleText = `Vehicle: ${manifest.vehicle.registration}${manifest.vehicle.description ? ` - ${manifest.vehicle.description}` : ''}`;
+                page.drawText(vehicleText, { x: width - padding - font.widthOfTextAtSize(vehicleText, 11), y, font, size: 11 });
+            }
+            y -= 20;
+            page.drawRectangle({ x: padding, y: y - 18, width: width - padding * 2, height: 18, color: rgb(0.9, 0.9, 0.9) });
+            for (const column of columns) page.drawText(column.title, { x: column.x + 4, y: y - 13, font: boldFont, size: 9 });
+            y -= 18;
+        };
+        startPage();
+
+        if (manifest.stops.length === 0) {
+            page.drawText('No shipments assigned to this driver for this day.', { x: padding + 4, y: y - 20, font, size: 10 });
+        }
+        for (const stop of manifest.stops) {
+            const cells = [
+                cellLines(String(stop.stop), columns[0], boldFont),
+                cellLines(stop.trackingNumber, columns[1], boldFont),
+                [...cellLines(stop.recipientName || 'N/A', columns[2]), ...(stop.recipientContact ? cellLines(stop.recipientContact, columns[2]) : [])],
+                cellLines(stop.recipientAddress || 'N/A', columns[3]),
+                stop.elements.length > 0 ? stop.elements.flatMap(el => cellLines(`${el.quantity || '-'} x ${el.description || ''}`, columns[4])) : ['-'],
+                [],
+            ];
+            // Rows are at least tall enough to sign in
+            const rowHeight = Math.max(45, Math.max(...cells.map(lines => lines.length)) * 12 + 10);
+            if (y - rowHeight < padding + 20) startPage();
+            cells.forEach((lines, i) => {
+                const f = i < 2 ? boldFont : font;
+                lines.forEach((line, lineIndex) => page.drawText(line, { x: columns[i].x + 4, y: y - 13 - lineIndex * 12, font: f, size: 9 }));
+            });
+            y -= rowHeight;
+            page.drawLine({ start: { x: padding, y }, end: { x: width - padding, y }, thickness: 0.5, color: rgb(0.6, 0.6, 0.6) });
+        }
+
+        const pages = pdfDoc.getPages();
+        pages.forEach((p, i) => {
+            const footer = `${manifest.stops.length} stop(s) - Page ${i + 1} of ${pages.length}`;
+            p.drawText(footer, { x: (width - font.widthOfTextAtSize(footer, 9)) / 2, y: padding - 15, font, size: 9, color: rgb(0.5, 0.5, 0.5) });
+        });
+
+        const pdfBytes = await pdfDoc.save();
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename=manifest-${manifest.driver.name.replace(/[^a-z0-9]+/gi, '-')}-${date}.pdf`);
+        res.send(Buffer.from(pdfBytes));
+    } catch (error) {
+        console.error('Error generating manifest PDF:', error);
+        res.status(500).send('Could not generate manifest');
+    }
+});
+
+apiRouter.get('/statements/pdf', async (req, res) => {
+    const { customer, month } = req.query;
+    if (!isValidMonth(month)) return res.status(400).send('Month must be in YYYY-MM format');
+    if (!customer || !String(customer).trim()) return res.status(400).send('A customer is required');
+    try {
+        const statement = await getStatement(customer, month);
+        if (!statement) return res.status(404).send('No shipments for this customer in this month');
+        const money = await getMoneySettings();
+
+        const pdfDoc = await PDFDocument.create();
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const padding = 50;
+        const columns = [
+            { title: 'DATE', x: padding, width: 65 },
+            { title: 'TRACKING #', x: padding + 65, width: 70 },
+            { title: 'JOB # / CE #', x: padding + 135, width: 95 },
+            { title: 'RECIPIENT', x: padding + 230, width: 150 },
+            { title: 'SERVICE', x: padding + 380, width: 60 },
+        ];
+        const periodText = new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-ZA', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+        let page;
+        let width;
+        let y;
+        const drawTableHeader = () => {
+            page.drawLine({ start: { x: padding, y }, end: { x: width - padding, y }, thickness: 1.5 });
+            y -= 15;
+            for (const column of columns) page.drawText(column.title, { x: column.x + 2, y, font: boldFont, size: 9 });
+            page.drawText('AMOUNT', { x: width - padding - 60, y, font: boldFont, size: 9 });
+            y -= 5;
+            page.drawLine({ start: { x: padding, y }, end: { x: width - padding, y }, thickness: 1.5 });
+            y -= 15;
+        };
+        const startPage = () => {
+            page = pdfDoc.addPage();
+            width = page.getSize().width;
+            y = page.getSize().height - padding;
+            page.drawText(`STATEMENT - ${statement.customer} - ${periodText} (continued)`, { x: padding, y, font: boldFont, size: 10 });
+            y -= 25;
+            drawTableHeader();
+        };
+
+        // First page: logo top-left, statement details top-right, as on the delivery note
+        page = pdfDoc.addPage();
+        const { height } = page.getSize();
+        width = page.getSize().width;
+        y = height - padding;
+        let logoBottomY = y;
+        try {
+            const logoPath = path.resolve(process.cwd(), 'EB logo.jpg');
+            if (fs.existsSync(logoPath)) {
+                const logoImage = await pdfDoc.embedJpg(fs.readFileSync(logoPath));
+                const logoDims = logoImage.scale(0.25);
+                page.drawImage(logoImage, { x: padding, y: y - logoDims.height + 20, width: logoDims.width, height: logoDims.height });
+                logoBottomY = y - logoDims.height + 20;
+            }
+        } catch (e) { console.error("Could not embed logo from file:", e); }
+
+        let rightSideY = y;
+        const headerText = 'STATEMENT';
+        page.drawText(headerText, { x: width - padding - boldFont.widthOfTextAtSize(headerText, 20), y: rightSideY, font: boldFont, size: 20 });
+        rightSideY -= 30;
+        for (const text of [`Period: ${periodText}`, `Date: ${new Date().toLocaleDateString('en-ZA')}`]) {
+            page.drawText(text, { x: width - padding - font.widthOfTextAtSize(text, 12), y: rightSideY, font, size: 12 });
+            rightSideY -= 15;
+        }
+        rightSideY -= 10;
+        for (const line of COMPANY_ADDRESS_LINES) {
+            page.drawText(line, { x: width - padding - font.widthOfTextAtSize(line, 10), y: rightSideY, font, size: 10, color: rgb(0.2, 0.2, 0.2) });
+            rightSideY -= 15;
+        }
+        y = Math.min(logoBottomY, rightSideY) - 20;
+
+        page.drawText('BILL TO:', { x: padding, y, font: boldFont, size: 10 });
+        y -= 15;
+        page.drawText(statement.customer, { x: padding, y, font, size: 10 });
+        y -= 15;
+        page.drawText(`${statement.lines.length} shipment(s)`, { x: padding, y, font, size: 10 });
+        y -= 30;
+        drawTableHeader();
+
+        // One line per shipment; long recipients wrap onto extra lines
+        for (const line of statement.lines) {
+            const cells = [
+                [new Date(line.createdAt).toLocaleDateString('en-ZA')],
+                [line.trackingNumber],
+                [line.associatedJobNo, line.ceNumber ? `CE ${line.ceNumber}` : null].filter(Boolean),
+                wrapText(String(line.recipientName || '').replace(/(\r\n|\n|\r)/gm, ' '), font, 9, columns[3].width - 4).filter(Boolean),
+                [line.serviceLevel || ''],
+            ];
+            const rowHeight = Math.max(1, ...cells.map(lines => lines.length)) * 12 + 6;
+            if (y - rowHeight < padding + 40) startPage();
+            cells.forEach((lines, i) => lines.forEach((text, lineIndex) => page.drawText(String(text), { x: columns[i].x + 2, y: y - lineIndex * 12, font: i === 1 ? boldFont : font, size: 9 })));
+            page.drawText(line.courier_charge === null ? 'Not priced *' : formatMoney(line.courier_charge, money), { x: width - padding - 60, y, font, size: 9 });
+            y -= rowHeight;
+        }
+        if (statement.unpriced > 0) {
+            page.drawText('* No courier charge has been captured for this shipment yet.', { x: padding, y, font, size: 8, color: rgb(0.4, 0.4, 0.4) });
+            y -= 10;
+        }
+
+        // Totals
+        if (y - 100 < padding) startPage();
+        const totals_x = width - padding - 150;
+        y -= 10;
+        page.drawLine({ start: { x: totals_x - 20, y }, end: { x: width - padding, y }, thickness: 0.5 });
+        y -= 20;
+        page.drawText('Subtotal:', { x: totals_x, y, font: boldFont, size: 10 });
+        page.drawText(formatMoney(statement.subtotal, money), { x: width - padding - 60, y, font, size: 10 });
+        y -= 20;
+        page.drawText(`VAT (${statement.vatRate}%):`, { x: totals_x, y, font: boldFont, size: 10 });
+        page.drawText(formatMoney(statement.vat, money), { x: width - padding - 60, y, font, size: 10 });
+        y -= 5;
+        page.drawLine({ start: { x: totals_x - 20, y }, end: { x: width - padding, y }, thickness: 1.5 });
+        y -= 15;
+        page.drawText('TOTAL:', { x: totals_x, y, font: boldFont, size: 12 });
+        page.drawText(formatMoney(statement.total, money), { x: width - padding - 60, y, font: boldFont, size: 12 });
+
+        const pages = pdfDoc.getPages();
+        pages.forEach((p, i) => {
+            const footer = `Page ${i + 1} of ${pages.length}`;
+            p.drawText(footer, { x: (width - font.widthOfTextAtSize(footer, 9)) / 2, y: padding - 20, font, size: 9, color: rgb(0.5, 0.5, 0.5) });
+        });
+
+        const pdfBytes = await pdfDoc.save();
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename=statement-${statement.customer.replace(/[^a-z0-9]+/gi, '-')}-${month}.pdf`);
+        res.send(Buffer.from(pdfBytes));
+    } catch (error) {
+        console.error('Error generating statement PDF:', error);
+        res.status(500).send('Could not generate statement');
+    }
+});
+
 app.use('/api', apiRouter);
 
 // --- Server Start ---
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
 const startServer = async () => {
     try {
         await initializeDatabase();
+        await scheduleChaseSync();
+        startNotificationWorker();
 
-        app.use(express.static(path.join(__dirname)));
+        // Only public/ is served; the app directory also holds the database and key files.
+        app.use(express.static(PUBLIC_DIR));
+
+        // Public tracking page; the page itself calls /api/track/:trackingNumber
+        app.get(['/track', '/track/:trackingNumber'], (req, res) => {
+            res.sendFile(path.join(PUBLIC_DIR, 'track.html'));
+        });
 
         app.get(/^(?!\/api).*/, (req, res) => {
-            res.sendFile(path.join(__dirname, 'index.html'));
+            res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
         });
 
         // Use HTTPS if certificates are available, otherwise fall back to HTTP
@@ -891,7 +4134,7 @@ const startServer = async () => {
         const adminUser = await dbGet('SELECT * FROM users WHERE username = ?', ['Admin']);
         if (!adminUser) {
             const hashedPassword = await bcrypt.hash('Admin', 10);
-            await dbRun('INSERT INTO users (username, password) VALUES (?, ?)', ['Admin', hashedPassword]);
+            await dbRun('INSERT INTO users (username, password, role, mustChangePassword, createdAt) VALUES (?, ?, ?, 1, ?)', ['Admin', hashedPassword, 'admin', new Date().toISOString()]);
             console.log('Default user "Admin" created with password "Admin".');
         }
 